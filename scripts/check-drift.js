@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { DriftChecker } from './lib/drift-checker.js';
+
+const USAGE = `Usage: node scripts/check-drift.js <template> [options]
+
+Compares the published template with the converter's output and lists what a
+deploy would change: expected changes from upstream or the converter, and
+manual edits made to the template since it was generated, which the deploy
+would overwrite. <template> is a checkout of the template repository, or a git
+repository read at --ref (a bare clone is read at HEAD without one).
+
+Options:
+  --output <dir>       Freshly generated template (default: output)
+  --ref <ref>          Read the template from this git ref instead of the working tree
+  --json               Print the report as JSON instead of text
+  -h, --help           Show this help
+
+Exit codes: 0 when no manual edits would be overwritten, 1 when the comparison fails,
+2 on invalid arguments, 3 when manual edits would be overwritten.`;
+
+const STATUS_LABELS = { added: 'adds', deleted: 'removes', modified: 'changes' };
+
+function toText(report) {
+    const lines = [`🔍 Template drift: ${report.template} → ${report.output}`, ''];
+
+    if (report.manual.length > 0) {
+        lines.push(`❌ ${report.manual.length} manual edit(s) to the template would be overwritten:`);
+        for (const { file, status, edit } of report.manual) {
+            lines.push(`   • ${file}: ${edit}, the deploy ${STATUS_LABELS[status]} it`);
+        }
+        lines.push('', '   Port these edits to the starter kit or the conversion rules before deploying.', '');
+    }
+
+    if (report.expected.length > 0) {
+        lines.push(`✅ ${report.expected.length} expected change(s) from upstream or the converter:`);
+        for (const { file, status, reason } of report.expected) {
+            lines.push(`   • ${file} (${status}): ${reason}`);
+        }
+        lines.push('');
+    }
+
+    if (report.unclassified.length > 0) {
+        lines.push(`⚠️  ${report.unclassified.length} difference(s) cannot be classified, the template has no conversion manifest yet:`);
+        for (const { file, status } of report.unclassified) {
+            lines.push(`   • ${file} (${status})`);
+        }
+        lines.push('');
+    }
+
+    if (report.manual.length + report.expected.length + report.unclassified.length === 0) {
+        lines.push('✅ The template matches the output.', '');
+    }
+
+    return lines.join('\n');
+}
+
+async function main() {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                output: { type: 'string' },
+                ref: { type: 'string' },
+                json: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length !== 1) {
+        console.error(`❌ Expected the template repository\n\n${USAGE}`);
+        return 2;
+    }
+
+    const output = values.output ?? 'output';
+    if (!fs.existsSync(output)) {
+        console.error(`❌ ${output} not found, run the conversion first`);
+        return 1;
+    }
+
+    const report = new DriftChecker({ template: positionals[0], output, ref: values.ref }).check();
+    process.stdout.write(values.json ? `${JSON.stringify(report, null, 2)}\n` : toText(report));
+
+    return report.manual.length > 0 ? 3 : 0;
+}
+
+main()
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((err) => {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+    });
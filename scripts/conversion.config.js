@@ -0,0 +1,98 @@
+import { fileURLToPath } from 'url';
+
+/**
+ * Default rules for turning laravel/react-starter-kit into the JSX template.
+ * The converter reads `conversion.config.js` from the project root when there
+ * is one, so forks converting their own Inertia starter kit can adjust these
+ * rules without editing the converter, e.g.
+ *
+ *     import defaults from './scripts/conversion.config.js';
+ *
+ *     export default {
+ *         ...defaults,
+ *         rules: [...defaults.rules, { file: 'composer.json', edits: [{ type: 'json', path: 'name', value: 'acme/jsx-kit' }] }],
+ *     };
+ *
+ * Rule paths are relative to the project root, template and plugin paths to
+ * the config file they are written in.
+ * See scripts/lib/rule-engine.js for the edit types.
+ */
+export default {
+    // Never copied to the template; directories and files match by name
+    exclude: {
+        dirs: ['output', 'node_modules', 'scripts', 'vendor', 'templates', 'storage/logs', '.git'],
+        files: ['composer.lock', '.env', 'workflow-test-report.json'],
+    },
+
+    // Project files rewritten for the template. `file` may be a glob applying the rule to every match, `rename`
+    // writes the result under another name and removes the copied original, `delete` removes further copied
+    // files, `inputs` are extra files (globs, `{source}` being the TypeScript source directory) whose changes
+    // rerun the rule, and a missing file only fails the run for `required` rules.
+    rules: [
+        {
+            file: 'eslint.config.js',
+            edits: [
+                // The template has no output/ directory to ignore
+                {
+                    type: 'regex',
+                    pattern: /ignores:\s*\[([^\]]*)]/,
+                    replacement: (match, ignores) => {
+                        const kept = ignores
+                            .split(',')
+                            .map((item) => item.trim())
+                            .filter((item) => item && !/^['"]output['"/]/.test(item));
+                        return `ignores: [${kept.join(', ')}]`;
+                    },
+                },
+                { type: 'transform', name: 'eslintJavaScript' },
+            ],
+        },
+        {
+            file: 'vite.config.ts',
+            rename: 'vite.config.js',
+            required: true,
+            edits: [
+                {
+                    type: 'ast',
+                    visit: (node, { ts, remove }) => {
+                        if (ts.isImportDeclaration(node) && node.importClause?.isTypeOnly) {
+                            remove(node);
+                        }
+                    },
+                },
+                { type: 'regex', pattern: /resources\/js\/(app|ssr)\.tsx/g, replacement: 'resources/js/$1.jsx' },
+                { type: 'regex', pattern: /^\s*\n/gm, replacement: '' },
+                { type: 'transform', name: 'esmDirname' },
+                { type: 'transform', name: 'wayfinderPlugin' },
+            ],
+        },
+        // @vite, @viteReactRefresh and Vite::asset() entries of every view; TypeScript references left over fail the run
+        { file: 'resources/views/**/*.blade.php', required: true, edits: [{ type: 'transform', name: 'viteReferences' }] },
+        {
+            file: 'tsconfig.json',
+            rename: 'jsconfig.json',
+            inputs: ['{source}/**/*.d.ts'],
+            delete: ['tsconfig.node.json'],
+            edits: [{ type: 'transform', name: 'jsconfig' }],
+        },
+        {
+            file: 'package.json',
+            edits: [
+                { type: 'transform', name: 'pruneDependencies' },
+                { type: 'json', path: 'name', pattern: /react-starter-kit/, replacement: 'react-jsx-starter-kit' },
+                { type: 'json', path: 'description', pattern: /TypeScript/, replacement: 'JavaScript/JSX' },
+            ],
+        },
+        // Regenerated offline by npm once package.json is rewritten
+        { file: 'package-lock.json', step: 'packageLock', inputs: ['package.json'] },
+        { file: 'composer.json', edits: [{ type: 'json', path: 'name', value: 'aliziodev/react-jsx-starter-kit' }] },
+        { file: 'components.json', edits: [{ type: 'json', path: 'tsx', value: false }] },
+    ],
+
+    // Files written to the template from a template or `content` (a string, or a function returning one)
+    generate: [{ file: 'README.md', template: fileURLToPath(new URL('templates/README.md', import.meta.url)) }],
+
+    // Plugin modules (paths, or `[path, options]`) hooking into every file the conversion writes,
+    // see scripts/lib/plugin-host.js
+    plugins: [],
+};
@@ -0,0 +1,40 @@
+/**
+ * Inertia props used to render the TSX source and the JSX output side by side.
+ * `sharedData` mirrors the `SharedData` interface in resources/js/types and is
+ * passed to every page; `pageProps` adds the props individual pages expect,
+ * keyed by Inertia component name.
+ */
+export const sharedData = {
+    name: 'Laravel',
+    quote: { message: 'Simplicity is the ultimate sophistication.', author: 'Leonardo da Vinci' },
+    auth: {
+        user: {
+            id: 1,
+            name: 'Test User',
+            email: 'test@example.com',
+            avatar: null,
+            email_verified_at: '2025-01-01T00:00:00.000000Z',
+            two_factor_enabled: false,
+            created_at: '2025-01-01T00:00:00.000000Z',
+            updated_at: '2025-01-01T00:00:00.000000Z',
+        },
+    },
+    sidebarOpen: true,
+    errors: {},
+};
+
+export const pageProps = {
+    'auth/forgot-password': { status: 'We have emailed your password reset link.' },
+    'auth/login': { canResetPassword: true, status: 'Your password has been reset.' },
+    'auth/reset-password': { token: 'fixture-token', email: 'test@example.com' },
+    'auth/verify-email': { status: 'verification-link-sent' },
+    'settings/profile': { mustVerifyEmail: true, status: 'profile-updated' },
+    'settings/two-factor': { requiresConfirmation: true, twoFactorEnabled: false },
+};
+
+// Passed to every layout, which ignore what they don't use
+export const layoutProps = {
+    title: 'Fixture layout',
+    description: 'Rendered by the parity harness',
+    breadcrumbs: [{ title: 'Dashboard', href: '/dashboard' }],
+};
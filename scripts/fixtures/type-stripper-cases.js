@@ -0,0 +1,288 @@
+/**
+ * TypeScript snippets and the JavaScript the type stripper must turn them
+ * into, with the `options` it is created with and the constructs it must
+ * report as `unsupported`, checked by the workflow test without going
+ * through a full conversion.
+ */
+export const typeStripperCases = [
+    {
+        name: 'type-only imports and exports',
+        file: 'type-only.ts',
+        source: [
+            "import type { User } from './types';",
+            "import { type Route, route } from './routes';",
+            "import { Page, render } from './page';",
+            'export type { User };',
+            'export { type Route, route };',
+            'export interface Props {',
+            '    user: User;',
+            '}',
+            'export type Id = string | number;',
+            '',
+            'export function show(page: Page): string {',
+            "    return render(page, route('show'));",
+            '}',
+            '',
+        ].join('\n'),
+        expected: [
+            "import { route } from './routes';",
+            "import { render } from './page';",
+            'export { route };',
+            '',
+            'export function show(page) {',
+            "    return render(page, route('show'));",
+            '}',
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'as, satisfies and non-null assertions',
+        file: 'assertions.ts',
+        source: [
+            'const config = { retries: 3 } satisfies Record<string, number>;',
+            "const input = document.getElementById('name') as HTMLInputElement;",
+            'const value = input!.value;',
+            'const list = <string[]>JSON.parse(value);',
+            "const mode = 'dark' as const;",
+            '',
+        ].join('\n'),
+        expected: [
+            'const config = { retries: 3 };',
+            "const input = document.getElementById('name');",
+            'const value = input.value;',
+            'const list = JSON.parse(value);',
+            "const mode = 'dark';",
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'overloads, declare, modifiers and generics',
+        file: 'declarations.ts',
+        source: [
+            'declare const VERSION: string;',
+            "declare module 'virtual:config' {",
+            '    export const name: string;',
+            '}',
+            '',
+            'export function format(value: string): string;',
+            'export function format(value: number, digits?: number): string;',
+            'export function format(value: string | number, digits = 2): string {',
+            "    return typeof value === 'number' ? value.toFixed(digits) : value;",
+            '}',
+            '',
+            'export abstract class Store<T extends object> {',
+            '    private readonly items: Map<string, T> = new Map();',
+            '    protected abstract key(item: T): string;',
+            '',
+            '    public add<K extends keyof T>(item: T, field?: K): void {',
+            '        this.items.set(this.key(item), item);',
+            '    }',
+            '}',
+            '',
+            'export const first = <T,>(items: T[]): T | undefined => items[0];',
+            '',
+        ].join('\n'),
+        expected: [
+            '',
+            'export function format(value, digits = 2) {',
+            "    return typeof value === 'number' ? value.toFixed(digits) : value;",
+            '}',
+            '',
+            'export class Store {',
+            '    items = new Map();',
+            '',
+            '    add(item, field) {',
+            '        this.items.set(this.key(item), item);',
+            '    }',
+            '}',
+            '',
+            'export const first = (items) => items[0];',
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'comments and formatting survive',
+        file: 'greeting.tsx',
+        source: [
+            '// Greets the signed-in user',
+            "import { useState } from 'react';",
+            '',
+            'interface GreetingProps {',
+            '    name: string; // shown as is',
+            '}',
+            '',
+            '/* Keeps its own state */',
+            'export default function Greeting({ name }: GreetingProps) {',
+            '    const [count, setCount] = useState<number>(0);',
+            '',
+            '',
+            '    return (',
+            '        <button onClick={() => setCount(count + 1)}>',
+            '            {/* a JSX comment */}',
+            '            Hello {name} ({count})',
+            '        </button>',
+            '    );',
+            '}',
+            '',
+        ].join('\n'),
+        expected: [
+            '// Greets the signed-in user',
+            "import { useState } from 'react';",
+            '',
+            '/* Keeps its own state */',
+            'export default function Greeting({ name }) {',
+            '    const [count, setCount] = useState(0);',
+            '',
+            '',
+            '    return (',
+            '        <button onClick={() => setCount(count + 1)}>',
+            '            {/* a JSX comment */}',
+            '            Hello {name} ({count})',
+            '        </button>',
+            '    );',
+            '}',
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'enums become frozen objects',
+        file: 'enums.ts',
+        source: [
+            'export enum Status {',
+            '    Active, // the default',
+            "    Archived = 'archived',",
+            '}',
+            '',
+            'const enum Flags {',
+            '    None = 0,',
+            '    Read = 1 << 0,',
+            '    Write = 1 << 1,',
+            '    ReadWrite = Read | Write,',
+            '}',
+            '',
+            'export const canWrite = (flags: Flags) => (flags & Flags.Write) !== 0;',
+            '',
+        ].join('\n'),
+        expected: [
+            'export const Status = Object.freeze({',
+            '    Active: 0, // the default',
+            "    Archived: 'archived',",
+            '});',
+            '',
+            'const Flags = Object.freeze({',
+            '    None: 0,',
+            '    Read: 1,',
+            '    Write: 2,',
+            '    ReadWrite: 3,',
+            '});',
+            '',
+            'export const canWrite = (flags) => (flags & Flags.Write) !== 0;',
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'namespaces become module-level declarations',
+        file: 'namespaces.ts',
+        source: [
+            'export namespace Format {',
+            '    export interface Options {',
+            '        digits: number;',
+            '    }',
+            '',
+            "    const separator = ',';",
+            '',
+            '    export function list(items: string[]): string {',
+            '        return items.join(separator);',
+            '    }',
+            '}',
+            '',
+        ].join('\n'),
+        expected: [
+            '',
+            "const separator = ',';",
+            '',
+            'export function list(items) {',
+            '    return items.join(separator);',
+            '}',
+            'export const Format = { list };',
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'parameter properties become assignments',
+        file: 'parameter-properties.ts',
+        source: [
+            'export class Client {',
+            '    constructor(',
+            '        private readonly baseUrl: string,',
+            '        public timeout = 1000,',
+            '    ) {',
+            '        console.log(`Client for ${baseUrl}`);',
+            '    }',
+            '}',
+            '',
+        ].join('\n'),
+        expected: [
+            'export class Client {',
+            '    constructor(',
+            '        baseUrl,',
+            '        timeout = 1000,',
+            '    ) {',
+            '        this.baseUrl = baseUrl;',
+            '        this.timeout = timeout;',
+            '        console.log(`Client for ${baseUrl}`);',
+            '    }',
+            '}',
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'enums with computed members are left to the compiler',
+        file: 'computed-enum.ts',
+        unsupported: ['enum'],
+        source: [
+            'enum Size {',
+            "    Small = 'small'.length,",
+            '}',
+            '',
+        ].join('\n'),
+        expected: [
+            'enum Size {',
+            "    Small = 'small'.length,",
+            '}',
+            '',
+        ].join('\n'),
+    },
+    {
+        name: 'optional class members',
+        file: 'optional-members.ts',
+        source: ['class Api {', '    token?: string;', '    retry?(attempts: number): void {}', '    parse?<T>(body: string): T {', '        return JSON.parse(body);', '    }', '}', ''].join('\n'),
+        expected: ['class Api {', '    token;', '    retry(attempts) {}', '    parse(body) {', '        return JSON.parse(body);', '    }', '}', ''].join('\n'),
+    },
+    {
+        name: 'JSDoc for a generic component without React in scope',
+        file: 'list.tsx',
+        options: { jsdoc: true },
+        source: [
+            "import { cn } from '@/lib/utils';",
+            '',
+            'export function List<T extends { id: number }>({ items, className }: { items: T[] } & React.ComponentProps<\'ul\'>) {',
+            '    return <ul className={cn(className)}>{items.map((item) => <li key={item.id} />)}</ul>;',
+            '}',
+            '',
+        ].join('\n'),
+        expected: [
+            "/** @import * as React from 'react' */",
+            "import { cn } from '@/lib/utils';",
+            '',
+            '/**',
+            ' * @template {{ id: number }} T',
+            " * @param {{ items: T[] } & React.ComponentProps<'ul'>} props",
+            ' */',
+            'export function List({ items, className }) {',
+            '    return <ul className={cn(className)}>{items.map((item) => <li key={item.id} />)}</ul>;',
+            '}',
+            '',
+        ].join('\n'),
+    },
+];
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+import { execFileSync, execSync } from 'child_process';
+import fs from 'fs';
+import { glob } from 'glob';
+import { createHash } from 'node:crypto';
+import os from 'node:os';
+import process from 'node:process';
+import { parseArgs } from 'node:util';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { UnifiedConverter, convert } from './lib/unified-converter.js';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = path.resolve(SCRIPTS_DIR, '..');
+const STATUS_LABELS = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'copied', T: 'type changed' };
+const CONFIG_FILE_PATTERN = /(^|[./-])config\.[cm]?[jt]s$|^tsconfig.*\.json$|^\.[\w-]+rc(\.\w+)?$|\.json$|\.ya?ml$/;
+
+/**
+ * Describes what an upstream change between two git refs means for the JSX
+ * template: the upstream files that changed, the template files that change
+ * as a result and the new files the converter has no rule for. Both refs are
+ * converted with the current converter, so the template side is exact rather
+ * than guessed from file names.
+ */
+class ImpactReporter {
+    constructor(options = {}) {
+        this.base = options.base;
+        this.head = options.head;
+        this.root = path.resolve(options.root ?? PROJECT_ROOT);
+        this.quiet = options.quiet ?? false;
+    }
+
+    log(...args) {
+        if (!this.quiet) {
+            console.error(...args);
+        }
+    }
+
+    git(...args) {
+        return execFileSync('git', args, { cwd: this.root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    }
+
+    async run() {
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsx-impact-'));
+
+        try {
+            const upstream = this.changedFiles();
+            this.log(`🔍 ${upstream.length} upstream file(s) changed between ${this.base} and ${this.head}`);
+
+            const baseTree = this.checkout(this.base, path.join(workDir, 'base'));
+            const headTree = this.checkout(this.head, path.join(workDir, 'head'));
+            const template = this.compareOutputs(await this.convert(baseTree, this.base), await this.convert(headTree, this.head));
+            const attention = await this.findUnknownFiles(upstream, headTree);
+
+            return { base: this.base, head: this.head, upstream, template, attention };
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    changedFiles() {
+        return this.git('diff', '--name-status', '-M', this.base, this.head)
+            .split('\n')
+            .filter(Boolean)
+            .map((line) => {
+                const [status, ...paths] = line.split('\t');
+                const code = status[0];
+                return code === 'R' || code === 'C'
+                    ? { status: STATUS_LABELS[code], file: paths[1], from: paths[0] }
+                    : { status: STATUS_LABELS[code] ?? status, file: paths[0] };
+            });
+    }
+
+    // Extracts the tree of a ref; the converter needs the project's node_modules to run
+    checkout(ref, dir) {
+        fs.mkdirSync(dir, { recursive: true });
+        execSync(`git archive --format=tar ${JSON.stringify(ref)} | tar -x -C ${JSON.stringify(dir)}`, { cwd: this.root, stdio: 'pipe' });
+        fs.symlinkSync(path.join(this.root, 'node_modules'), path.join(dir, 'node_modules'), 'junction');
+        return dir;
+    }
+
+    async convert(tree, ref) {
+        const outputDir = path.join(tree, '.impact-output');
+        this.log(`🔄 Converting ${ref}...`);
+        const result = await convert({ root: tree, out: outputDir, force: true });
+        if (!result.success) {
+            throw new Error(`Converting ${ref} failed:\n${result.errors.join('\n')}`);
+        }
+        return outputDir;
+    }
+
+    compareOutputs(baseOutput, headOutput) {
+        const hashes = (dir) =>
+            new Map(
+                glob
+                    .sync('**/*', { cwd: dir, nodir: true, dot: true, posix: true })
+                    .map((file) => [file, createHash('sha256').update(fs.readFileSync(path.join(dir, file))).digest('hex')]),
+            );
+        const before = hashes(baseOutput);
+        const after = hashes(headOutput);
+        const changes = [];
+
+        for (const [file, hash] of after) {
+            if (!before.has(file)) {
+                changes.push({ status: 'added', file });
+            } else if (before.get(file) !== hash) {
+                changes.push({ status: 'modified', file });
+            }
+        }
+        for (const file of before.keys()) {
+            if (!after.has(file)) {
+                changes.push({ status: 'deleted', file });
+            }
+        }
+
+        return changes.sort((a, b) => a.file.localeCompare(b.file));
+    }
+
+    /**
+     * New upstream files no conversion rule covers: config files and
+     * TypeScript outside resources/js are copied verbatim, and @vite
+     * directives the Blade rules do not rewrite keep pointing at .tsx
+     * entries.
+     */
+    async findUnknownFiles(upstream, headTree) {
+        const converter = new UnifiedConverter({ root: headTree, quiet: true });
+        await converter.loadConfig();
+        const configInputs = new Set(converter.config.rules.map((rule) => rule.file));
+        const excludedDirs = converter.config.exclude.dirs;
+        const attention = [];
+
+        for (const { status, file } of upstream) {
+            if (status === 'deleted' || excludedDirs.some((dir) => file === dir || file.startsWith(`${dir}/`))) {
+                continue;
+            }
+
+            const isNew = status === 'added' || status === 'renamed' || status === 'copied';
+            const name = path.posix.basename(file);
+
+            if (isNew && /\.[cm]?tsx?$/.test(file) && !file.startsWith('resources/js/') && !configInputs.has(file)) {
+                attention.push({ file, reason: 'TypeScript file outside resources/js, copied to the template unconverted' });
+            } else if (isNew && !file.includes('/') && CONFIG_FILE_PATTERN.test(name) && !configInputs.has(file)) {
+                attention.push({ file, reason: 'new config file without a conversion rule, copied verbatim' });
+            }
+
+            if (file.endsWith('.blade.php') && fs.existsSync(path.join(headTree, file))) {
+                for (const reason of this.unconvertedViteReferences(fs.readFileSync(path.join(headTree, file), 'utf8'), file, converter)) {
+                    attention.push({ file, reason });
+                }
+            }
+        }
+
+        return attention;
+    }
+
+    // Views the conversion rules leave pointing at TypeScript, or that fail the Blade rewrite
+    unconvertedViteReferences(content, file, converter) {
+        const rule = converter.ruleFor(file);
+        let converted;
+        try {
+            converted = rule?.edits ? converter.ruleEngine.apply(content, rule.edits, { file, output: file, converter }) : content;
+        } catch (err) {
+            return [err.message];
+        }
+        const directives = converted.match(/@vite(ReactRefresh)?\([^)]*\)/g) ?? [];
+        return directives.filter((directive) => /\.tsx?\b/.test(directive)).map((directive) => `\`${directive}\` is not rewritten by a conversion rule`);
+    }
+
+    toMarkdown(report) {
+        const lines = [`## Upstream changes \`${report.base}\`..\`${report.head}\``, ''];
+
+        lines.push(this.summarize(report.upstream, 'upstream file'), '');
+        if (report.upstream.length > 0) {
+            lines.push('| Status | File |', '| --- | --- |');
+            for (const change of report.upstream) {
+                const file = change.from ? `\`${change.from}\` → \`${change.file}\`` : `\`${change.file}\``;
+                lines.push(`| ${change.status} | ${file} |`);
+            }
+            lines.push('');
+        }
+
+        lines.push('## Template impact', '', this.summarize(report.template, 'template file'), '');
+        if (report.template.length > 0) {
+            lines.push('| Status | Output file |', '| --- | --- |');
+            for (const change of report.template) {
+                lines.push(`| ${change.status} | \`${change.file}\` |`);
+            }
+            lines.push('');
+        }
+
+        lines.push('## Needs attention', '');
+        if (report.attention.length === 0) {
+            lines.push('Every changed file is covered by an existing conversion rule.');
+        } else {
+            for (const item of report.attention) {
+                lines.push(`- \`${item.file}\`: ${item.reason}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    summarize(changes, noun) {
+        if (changes.length === 0) {
+            return `No ${noun}s changed.`;
+        }
+        const counts = Object.entries(
+            changes.reduce((totals, change) => ({ ...totals, [change.status]: (totals[change.status] ?? 0) + 1 }), {}),
+        ).map(([status, count]) => `${count} ${status}`);
+        return `${changes.length} ${noun}${changes.length === 1 ? '' : 's'} changed (${counts.join(', ')}).`;
+    }
+}
+
+const USAGE = `Usage: node scripts/impact-report.js <base-ref> [<head-ref>] [options]
+
+Lists the upstream files changed between two git refs, the template files that
+change as a result and the new files no conversion rule covers, as Markdown
+suitable for a pull request body. <head-ref> defaults to HEAD.
+
+Options:
+  --output <file>      Write the Markdown to a file instead of stdout
+  --json               Print the report as JSON instead of Markdown
+  --fail-on-attention  Exit with code 3 when files need attention
+  --quiet              Do not print progress to stderr
+  -h, --help           Show this help
+
+Exit codes: 0 on success, 1 when a ref cannot be converted, 2 on invalid arguments,
+3 with --fail-on-attention when files need attention.`;
+
+async function main() {
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            allowPositionals: true,
+            options: {
+                output: { type: 'string' },
+                json: { type: 'boolean' },
+                'fail-on-attention': { type: 'boolean' },
+                quiet: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        }));
+    } catch (err) {
+        console.error(`❌ ${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (positionals.length < 1 || positionals.length > 2) {
+        console.error(`❌ Expected a base ref and an optional head ref\n\n${USAGE}`);
+        return 2;
+    }
+
+    const reporter = new ImpactReporter({ base: positionals[0], head: positionals[1] ?? 'HEAD', quiet: values.quiet });
+    const report = await reporter.run();
+    const text = values.json ? `${JSON.stringify(report, null, 2)}\n` : reporter.toMarkdown(report);
+
+    if (values.output) {
+        fs.writeFileSync(values.output, text);
+        reporter.log(`📝 Impact report written to ${values.output}`);
+    } else {
+        process.stdout.write(text);
+    }
+
+    return values['fail-on-attention'] && report.attention.length > 0 ? 3 : 0;
+}
+
+main()
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((err) => {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+    });
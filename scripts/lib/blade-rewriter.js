@@ -0,0 +1,121 @@
+const DIRECTIVE = /@vite(?:ReactRefresh)?\s*\(|\bVite::(?:asset|content)\s*\(/g;
+const STRING = /(['"])((?:\\.|(?!\1)[^\\])*)\1/g;
+const TS_EXTENSION = /\.([cm]?)ts(x?)$/;
+
+/**
+ * Points the Vite references of Blade views at the converted entries:
+ * string arguments of `@vite(...)`, `@viteReactRefresh(...)` and
+ * `Vite::asset(...)`/`Vite::content(...)` that end in `.ts` or `.tsx`, in any
+ * quote style, spacing or array layout. Entries may interpolate Blade
+ * variables, as in `"resources/js/pages/{$page['component']}.tsx"`.
+ *
+ * An entry is rewritten when it lies in the converted sources; the
+ * `convertedName` callback gets its project-relative path and returns the
+ * converted one, or null when it is not a converted file. Whatever still
+ * points at TypeScript afterwards, also outside the directives, is returned
+ * as `unresolved`, because the template would request it from Vite at
+ * runtime.
+ */
+export class BladeViteRewriter {
+    /**
+     * @param {object} options
+     * @param {(entry: string) => string|null} options.convertedName
+     * @param {string} [options.sourcePrefix] Project-relative directory of the converted sources, e.g. 'resources/js/'.
+     */
+    constructor({ convertedName, sourcePrefix = 'resources/js/' }) {
+        this.convertedName = convertedName;
+        this.sourcePrefix = sourcePrefix;
+    }
+
+    /**
+     * @returns {{ content: string, rewrites: { from: string, to: string, line: number }[],
+     *   unresolved: { text: string, line: number }[] }}
+     */
+    rewrite(content) {
+        const edits = [];
+
+        for (const match of content.matchAll(DIRECTIVE)) {
+            const start = match.index + match[0].length;
+            const end = closingParenthesis(content, start);
+
+            for (const string of content.slice(start, end).matchAll(STRING)) {
+                const entry = string[2];
+                const converted = TS_EXTENSION.test(entry) ? this.convertEntry(entry) : null;
+                if (converted) {
+                    const offset = start + string.index + 1;
+                    edits.push({ start: offset, end: offset + entry.length, from: entry, to: converted, line: lineOf(content, offset) });
+                }
+            }
+        }
+
+        const rewritten = [...edits]
+            .sort((a, b) => b.start - a.start)
+            .reduce((current, { start, end, to }) => current.slice(0, start) + to + current.slice(end), content);
+
+        return { content: rewritten, rewrites: edits.map(({ from, to, line }) => ({ from, to, line })), unresolved: this.findTypeScriptReferences(rewritten) };
+    }
+
+    convertEntry(entry) {
+        if (!entry.startsWith(this.sourcePrefix)) {
+            return null;
+        }
+        // Interpolated entries name a file only at runtime, so they take the default extension
+        if (/[{$]/.test(entry)) {
+            return entry.replace(TS_EXTENSION, '.$1js$2');
+        }
+        return this.convertedName(entry);
+    }
+
+    // TypeScript files the view still points at: strings in Vite directives, and source paths anywhere else
+    findTypeScriptReferences(content) {
+        const references = [];
+        for (const match of content.matchAll(DIRECTIVE)) {
+            const start = match.index + match[0].length;
+            for (const string of content.slice(start, closingParenthesis(content, start)).matchAll(STRING)) {
+                if (TS_EXTENSION.test(string[2])) {
+                    references.push({ text: string[2], line: lineOf(content, start + string.index) });
+                }
+            }
+        }
+
+        const sourcePath = new RegExp(`${escapeRegExp(this.sourcePrefix)}[^'"\\s)]*\\.[cm]?tsx?(?![\\w])`, 'g');
+        for (const match of content.matchAll(sourcePath)) {
+            const line = lineOf(content, match.index);
+            if (!references.some((reference) => reference.line === line && reference.text === match[0])) {
+                references.push({ text: match[0], line });
+            }
+        }
+        return references.sort((a, b) => a.line - b.line);
+    }
+}
+
+// Index of the parenthesis closing the one opened right before `start`, skipping quoted strings
+function closingParenthesis(content, start) {
+    let depth = 1;
+    let quote = null;
+    for (let index = start; index < content.length; index++) {
+        const char = content[index];
+        if (quote) {
+            if (char === '\\') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === "'" || char === '"') {
+            quote = char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && --depth === 0) {
+            return index;
+        }
+    }
+    return content.length;
+}
+
+function lineOf(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,129 @@
+import fs from 'fs';
+import { createHash } from 'node:crypto';
+import process from 'node:process';
+import path from 'path';
+
+const CACHE_VERSION = 1;
+
+/**
+ * Remembers what every conversion step read and wrote, keyed by content
+ * hashes, so a rerun can skip the steps whose inputs and outputs are still
+ * the same. A cache written by a different converter build or with different
+ * options (the fingerprint) is discarded as a whole.
+ *
+ * Entries look like `{ phase, inputs: { file: hash }, outputs: { file: hash } }`.
+ * Input paths are relative to the project root, output paths to the output
+ * directory; an output hash of null means the step removed that file. Steps
+ * can store extra fields, such as the rewrites a file needed, to report them
+ * again when the step is skipped.
+ */
+export class ConversionCache {
+    constructor(file, fingerprint, entries = {}, root = process.cwd()) {
+        this.file = file;
+        this.root = root;
+        this.fingerprint = fingerprint;
+        this.entries = entries;
+        this.reused = Object.keys(entries).length > 0;
+        this.seen = new Set();
+        this.hashes = new Map();
+    }
+
+    static load(file, fingerprint, root = process.cwd()) {
+        try {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (data.version === CACHE_VERSION && data.fingerprint === fingerprint) {
+                return new ConversionCache(file, fingerprint, data.entries ?? {}, root);
+            }
+        } catch {
+            // Missing or unreadable caches are rebuilt from scratch
+        }
+
+        return new ConversionCache(file, fingerprint, {}, root);
+    }
+
+    static hashText(text) {
+        return createHash('sha256').update(text).digest('hex');
+    }
+
+    hash(file) {
+        const resolved = path.resolve(this.root, file);
+        if (!this.hashes.has(resolved)) {
+            this.hashes.set(resolved, fs.existsSync(resolved) ? ConversionCache.hashText(fs.readFileSync(resolved)) : null);
+        }
+        return this.hashes.get(resolved);
+    }
+
+    // A single hash standing for a whole set of files
+    digest(files) {
+        const hashes = [...files].sort().map((file) => `${path.relative(this.root, path.resolve(this.root, file))}:${this.hash(file)}`);
+        return ConversionCache.hashText(hashes.join('\n'));
+    }
+
+    inputsOf(files) {
+        return Object.fromEntries(files.map((file) => [path.relative(this.root, path.resolve(this.root, file)), this.hash(file)]));
+    }
+
+    /**
+     * True when the entry was produced from the same inputs and its outputs
+     * are untouched since. Fresh entries are kept when the cache is saved.
+     */
+    isFresh(key, inputs, outputDir) {
+        const entry = this.entries[key];
+        if (!entry || !sameHashes(entry.inputs, inputs)) {
+            return false;
+        }
+
+        for (const [output, hash] of Object.entries(entry.outputs)) {
+            const file = path.join(outputDir, output);
+            const current = fs.existsSync(file) ? ConversionCache.hashText(fs.readFileSync(file)) : null;
+            if (current !== hash) {
+                return false;
+            }
+        }
+
+        this.seen.add(key);
+        return true;
+    }
+
+    /**
+     * Stores an entry for a step that just ran and returns the outputs of the
+     * previous run of that step which it no longer writes.
+     */
+    set(key, phase, inputs, outputs, extra = {}) {
+        const previous = Object.keys(this.entries[key]?.outputs ?? {});
+        this.entries[key] = { ...extra, phase, inputs, outputs: Object.fromEntries(outputs.map((output) => [output, null])) };
+        this.seen.add(key);
+        return previous.filter((output) => !outputs.includes(output));
+    }
+
+    // Entries of the given phases that this run did not visit, i.e. whose sources are gone
+    stale(phases) {
+        return Object.entries(this.entries).filter(([key, entry]) => phases.has(entry.phase) && !this.seen.has(key));
+    }
+
+    delete(key) {
+        delete this.entries[key];
+    }
+
+    /**
+     * Writes the cache, hashing the outputs of the visited entries as they
+     * are on disk now, after every phase had its turn at them.
+     */
+    save(outputDir) {
+        for (const key of this.seen) {
+            const entry = this.entries[key];
+            for (const output of Object.keys(entry.outputs)) {
+                const file = path.join(outputDir, output);
+                entry.outputs[output] = fs.existsSync(file) ? ConversionCache.hashText(fs.readFileSync(file)) : null;
+            }
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify({ version: CACHE_VERSION, fingerprint: this.fingerprint, entries: this.entries }, null, 2));
+    }
+}
+
+function sameHashes(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+}
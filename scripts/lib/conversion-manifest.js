@@ -0,0 +1,150 @@
+import fs from 'fs';
+import { glob } from 'glob';
+import { createHash } from 'node:crypto';
+import path from 'path';
+
+export const MANIFEST_FILE = '.conversion-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Provenance of every file in the output: the operation that last produced
+ * it (copied, compiled, renamed, rewritten, generated or deleted), the
+ * project file it came from and the git blob hashes of both, together with
+ * the upstream commit and the converter version the output was generated
+ * from. Written to the output as `.conversion-manifest.json`:
+ *
+ *     {
+ *         "version": 1,
+ *         "upstream": { "sha": "4f1c2e..." },
+ *         "converter": { "version": "9b0e7a..." },
+ *         "files": {
+ *             "resources/js/app.jsx": { "operation": "compiled", "source": "resources/js/app.tsx", "sourceHash": "...", "outputHash": "..." }
+ *         }
+ *     }
+ *
+ * Incremental runs only know what they changed, so the entries of the
+ * previous manifest are carried over for the files they did not touch.
+ * Deleted entries are project files the conversion removed from the output.
+ */
+export class ConversionManifest {
+    constructor({ outputDir, root, files = {} }) {
+        this.outputDir = outputDir;
+        this.root = root;
+        this.files = files;
+        this.upstream = { sha: null };
+        this.converter = { version: null };
+    }
+
+    // Starts from the manifest of the previous run in the output directory, if there is one
+    static load({ outputDir, root }) {
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+            if (data.version === MANIFEST_VERSION) {
+                return new ConversionManifest({ outputDir, root, files: data.files ?? {} });
+            }
+        } catch {
+            // A missing manifest is rebuilt from the operations and the output
+        }
+        return new ConversionManifest({ outputDir, root });
+    }
+
+    static read(dir) {
+        const file = path.join(dir, MANIFEST_FILE);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    /**
+     * Applies the operations of a run in order. A source inside the output
+     * directory is an earlier output of the run (a compiled file renamed to
+     * .jsx), so the entry keeps the project file that one came from.
+     */
+    record(operations) {
+        for (const { action, target, source } of operations) {
+            const file = this.relativeToOutput(target);
+            if (file === null || file === MANIFEST_FILE) {
+                continue;
+            }
+
+            const origin = source ? this.relativeToOutput(source) : null;
+            const projectSource =
+                action === 'deleted'
+                    ? (this.files[file]?.source ?? null)
+                    : origin !== null
+                      ? (this.files[origin]?.source ?? null)
+                      : source
+                        ? toPosix(path.relative(this.root, source))
+                        : null;
+            this.files[file] = { operation: action, source: projectSource };
+        }
+    }
+
+    /**
+     * Brings the entries in line with the output directory: entries of files
+     * that are gone are dropped (unless the conversion deleted a project
+     * file), files without an entry are attributed to the project file at the
+     * same path, and every hash is computed from the current content.
+     */
+    reconcile() {
+        const outputFiles = glob.sync('**/*', { cwd: this.outputDir, nodir: true, dot: true, posix: true, ignore: ['.git/**', MANIFEST_FILE] });
+        const present = new Set(outputFiles);
+        const files = {};
+
+        for (const file of outputFiles) {
+            const entry = this.files[file]?.operation === 'deleted' ? null : this.files[file];
+            const source = entry ? entry.source : fs.existsSync(path.join(this.root, file)) ? file : null;
+            files[file] = { operation: entry?.operation ?? (source ? 'copied' : 'generated'), source };
+        }
+        for (const [file, entry] of Object.entries(this.files)) {
+            if (entry.operation === 'deleted' && entry.source && !present.has(file)) {
+                files[file] = { operation: 'deleted', source: entry.source };
+            }
+        }
+
+        this.files = Object.fromEntries(
+            Object.keys(files)
+                .sort()
+                .map((file) => {
+                    const { operation, source } = files[file];
+                    const sourceFile = source ? path.join(this.root, source) : null;
+                    return [
+                        file,
+                        {
+                            operation,
+                            source,
+                            sourceHash: sourceFile && fs.existsSync(sourceFile) ? blobHash(fs.readFileSync(sourceFile)) : null,
+                            outputHash: operation === 'deleted' ? null : blobHash(fs.readFileSync(path.join(this.outputDir, file))),
+                        },
+                    ];
+                }),
+        );
+    }
+
+    toJSON() {
+        return { version: MANIFEST_VERSION, upstream: this.upstream, converter: this.converter, files: this.files };
+    }
+
+    // Writes the manifest when it changed and returns whether it did
+    write() {
+        const file = path.join(this.outputDir, MANIFEST_FILE);
+        const content = `${JSON.stringify(this.toJSON(), null, 4)}\n`;
+        if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) {
+            return false;
+        }
+        fs.writeFileSync(file, content);
+        return true;
+    }
+
+    relativeToOutput(file) {
+        const relative = path.relative(this.outputDir, file);
+        return relative.startsWith('..') || path.isAbsolute(relative) ? null : toPosix(relative);
+    }
+}
+
+// Same hash git uses for blobs, so output files compare against a template checkout or its git objects alike
+export function blobHash(content) {
+    return createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
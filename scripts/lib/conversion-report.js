@@ -0,0 +1,99 @@
+/**
+ * Collects what the conversion could not turn into clean JavaScript: compiler
+ * diagnostics per source file and TypeScript syntax left in the output. Any
+ * finding fails the run unless an allowlist entry covers it. TypeScript
+ * constructs that were rewritten into equivalent JavaScript (enums,
+ * namespaces, parameter properties) are listed too, without failing the run.
+ *
+ * Allowlist entries look like `{ file, construct?, code?, reason }`: `file` is
+ * a path relative to the project root (a trailing `/` matches a directory),
+ * `construct` a residual construct such as 'as const' and `code` a compiler
+ * diagnostic such as 'TS2322'. An entry without either covers the whole file.
+ */
+export class ConversionReport {
+    constructor(allowlist = []) {
+        this.allowlist = allowlist;
+        this.files = new Map();
+    }
+
+    entry(file) {
+        if (!this.files.has(file)) {
+            this.files.set(file, { file, diagnostics: [], residual: [], rewrites: [] });
+        }
+        return this.files.get(file);
+    }
+
+    addDiagnostic(file, diagnostic) {
+        this.entry(file).diagnostics.push({ ...diagnostic, allowed: this.isAllowed(file, { code: diagnostic.code }) });
+    }
+
+    addResidual(file, findings) {
+        for (const finding of findings) {
+            this.entry(file).residual.push({ ...finding, allowed: this.isAllowed(file, { construct: finding.construct }) });
+        }
+    }
+
+    addRewrites(file, rewrites) {
+        for (const rewrite of rewrites) {
+            this.entry(file).rewrites.push(rewrite);
+        }
+    }
+
+    rewrites() {
+        return [...this.files.values()].flatMap(({ file, rewrites }) => rewrites.map((rewrite) => ({ file, ...rewrite })));
+    }
+
+    isAllowed(file, { code, construct }) {
+        return this.allowlist.some((entry) => {
+            const fileMatches = entry.file.endsWith('/') ? file.startsWith(entry.file) : file === entry.file;
+            if (!fileMatches) {
+                return false;
+            }
+            if (entry.code || entry.construct) {
+                return (code !== undefined && entry.code === code) || (construct !== undefined && entry.construct === construct);
+            }
+            return true;
+        });
+    }
+
+    // One row per finding, for console.table
+    rows() {
+        return [...this.files.values()].flatMap(({ file, diagnostics, residual }) => [
+            ...diagnostics.map((diagnostic) => ({
+                file,
+                type: 'diagnostic',
+                line: diagnostic.line,
+                kind: diagnostic.code,
+                detail: diagnostic.message,
+                allowed: diagnostic.allowed,
+            })),
+            ...residual.map((finding) => ({
+                file,
+                type: 'residual',
+                line: finding.line,
+                kind: finding.construct,
+                detail: finding.text,
+                allowed: finding.allowed,
+            })),
+        ]);
+    }
+
+    get failing() {
+        return this.rows().filter((row) => !row.allowed).length;
+    }
+
+    toJSON() {
+        const rows = this.rows();
+        return {
+            summary: {
+                files: this.files.size,
+                diagnostics: rows.filter((row) => row.type === 'diagnostic').length,
+                residual: rows.filter((row) => row.type === 'residual').length,
+                rewrites: this.rewrites().length,
+                allowed: rows.filter((row) => row.allowed).length,
+                failing: this.failing,
+            },
+            files: [...this.files.values()].filter((entry) => entry.diagnostics.length + entry.residual.length + entry.rewrites.length > 0),
+        };
+    }
+}
@@ -0,0 +1,259 @@
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+const STEP_SEPARATORS = ['&&', '||', ';'];
+// A file with a TypeScript extension, or a glob ending in an extension list naming one
+const TS_REFERENCE = /\.(?:[cm]?tsx?|\{[^}]*\b[cm]?tsx?\b[^}]*\})$/;
+
+/**
+ * Default rules for turning the TypeScript starter kit's package.json into the
+ * JavaScript template's. Package names may end in `/*` to match a whole scope.
+ */
+export const DEFAULT_DEPENDENCY_RULES = {
+    // Packages that only serve TypeScript, in any dependency section
+    remove: ['typescript', '@types/*', 'typescript-eslint', '@typescript-eslint/*', '@tsconfig/*', 'ts-node', 'tsx', 'vue-tsc'],
+    // Script steps whose executable is one of these are dropped
+    commands: ['tsc', 'vue-tsc'],
+    // Script steps running a converted file with one of these run it with node instead
+    runners: ['ts-node', 'tsx'],
+    // Packages the template needs on top, e.g. `{ dependencies: { 'prop-types': '^15.8.1' } }`
+    add: {},
+};
+
+/**
+ * Removes TypeScript packages from every dependency section of a package.json,
+ * drops or rewrites the scripts that call TypeScript tooling and adds the
+ * packages the JavaScript template needs. Every change is reported so the
+ * converter can log it.
+ */
+export class DependencyPruner {
+    /**
+     * @param {object} [rules] Overrides for DEFAULT_DEPENDENCY_RULES
+     * @param {object} [options]
+     * @param {(argument: string) => string|null} [options.convertedName] Gets a script argument naming a
+     *   TypeScript file or glob and returns the name of the converted file(s), or null when the conversion
+     *   does not produce them. Without it no argument is rewritten.
+     */
+    constructor(rules = {}, { convertedName = () => null } = {}) {
+        this.rules = { ...DEFAULT_DEPENDENCY_RULES, ...rules };
+        this.convertedName = convertedName;
+    }
+
+    prune(packageJson) {
+        const result = { packageJson: structuredClone(packageJson), removed: [], scripts: [], added: [] };
+
+        for (const section of DEPENDENCY_SECTIONS) {
+            const dependencies = result.packageJson[section];
+            if (!dependencies) {
+                continue;
+            }
+
+            for (const name of Object.keys(dependencies)) {
+                if (this.isRemoved(name)) {
+                    delete dependencies[name];
+                    result.removed.push({ section, name });
+                }
+            }
+        }
+
+        if (result.packageJson.scripts) {
+            result.scripts = this.pruneScripts(result.packageJson.scripts);
+        }
+
+        for (const [section, packages] of Object.entries(this.rules.add)) {
+            for (const [name, range] of Object.entries(packages)) {
+                if (result.packageJson[section]?.[name] !== range) {
+                    result.packageJson[section] = { ...result.packageJson[section], [name]: range };
+                    result.added.push({ section, name, range });
+                }
+            }
+        }
+
+        for (const section of DEPENDENCY_SECTIONS) {
+            if (result.packageJson[section] && Object.keys(result.packageJson[section]).length === 0) {
+                delete result.packageJson[section];
+            }
+        }
+
+        return result;
+    }
+
+    isRemoved(name) {
+        return this.rules.remove.some((pattern) => (pattern.endsWith('/*') ? name.startsWith(pattern.slice(0, -1)) : name === pattern));
+    }
+
+    /**
+     * Scripts are split into `&&`, `||` and `;` steps, honouring quotes; a
+     * pipeline stays one step. Steps whose executable is TypeScript tooling go,
+     * together with the `||` fallbacks that only ran when they failed. A
+     * script left without steps is dropped, and so are the `npm run <script>`
+     * steps elsewhere that pointed at a dropped script.
+     */
+    pruneScripts(scripts) {
+        const changes = new Map();
+        const dropped = new Set();
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            for (const [name, command] of Object.entries(scripts)) {
+                const steps = splitSteps(command);
+                const kept = [];
+                let droppedStep = false;
+                for (const step of steps) {
+                    droppedStep = (droppedStep && step.separator === '||') || this.isTypeScriptStep(step.text, dropped);
+                    if (!droppedStep) {
+                        kept.push(step);
+                    }
+                }
+
+                if (kept.length === 0) {
+                    delete scripts[name];
+                    dropped.add(name);
+                    changes.set(name, { name, action: 'dropped', command });
+                    changed = true;
+                    continue;
+                }
+
+                // Scripts that keep all their steps keep their formatting too
+                const rewritten =
+                    kept.length === steps.length
+                        ? steps.reduceRight((text, step) => text.slice(0, step.start) + this.rewriteStep(step.text) + text.slice(step.start + step.text.length), command)
+                        : kept.map((step, index) => (index === 0 ? '' : step.separator === ';' ? '; ' : ` ${step.separator} `) + this.rewriteStep(step.text)).join('');
+                if (rewritten !== command) {
+                    scripts[name] = rewritten;
+                    changes.set(name, { name, action: 'rewritten', command: rewritten });
+                }
+            }
+        }
+
+        return [...changes.values()];
+    }
+
+    isTypeScriptStep(step, droppedScripts) {
+        const words = splitWords(step);
+        const { program, args } = this.programOf(words);
+        const runScript = /^(npm|pnpm|yarn)$/.test(program) && args[0] === 'run' ? args[1] : null;
+        return this.rules.commands.includes(program) || (runScript !== null && droppedScripts.has(runScript));
+    }
+
+    // The executable of a step, past environment assignments and npx, with the words that follow it
+    programOf(words) {
+        let index = words.findIndex((word) => !/^\w+=/.test(word.value));
+        if (words[index]?.value === 'npx') {
+            index++;
+        }
+        return { program: words[index]?.value ?? null, args: words.slice(index + 1).map((word) => word.value), index };
+    }
+
+    /**
+     * Points the arguments naming converted TypeScript files at the converted
+     * ones, and runs them with node where a TypeScript runner ran them. Every
+     * other argument is left alone.
+     */
+    rewriteStep(step) {
+        const words = splitWords(step);
+        const edits = [];
+
+        for (const word of words) {
+            const converted = TS_REFERENCE.test(word.value) ? this.convertedName(word.value) : null;
+            if (converted && word.raw.includes(word.value)) {
+                edits.push({ start: word.start, end: word.end, text: word.raw.replace(word.value, converted) });
+            }
+        }
+
+        const { program, index } = this.programOf(words);
+        const script = words.slice(index + 1).find((word) => !word.value.startsWith('-'));
+        if (this.rules.runners.includes(program) && script && edits.some((edit) => edit.start === script.start)) {
+            const runnerStart = index > 0 && words[index - 1].value === 'npx' ? words[index - 1].start : words[index].start;
+            edits.push({ start: runnerStart, end: words[index].end, text: 'node' });
+        }
+
+        return edits.sort((a, b) => b.start - a.start).reduce((text, { start, end, text: replacement }) => text.slice(0, start) + replacement + text.slice(end), step);
+    }
+}
+
+// Steps of a shell command with the separator before each and their position, outside quotes
+function splitSteps(command) {
+    const steps = [];
+    let separator = null;
+    let start = 0;
+
+    const add = (end) => {
+        const text = command.slice(start, end);
+        if (text.trim() !== '') {
+            steps.push({ separator, text: text.trim(), start: start + text.search(/\S/) });
+        }
+    };
+
+    scanUnquoted(command, (index) => {
+        const operator = STEP_SEPARATORS.find((candidate) => command.startsWith(candidate, index));
+        if (!operator) {
+            return 0;
+        }
+        add(index);
+        separator = operator;
+        start = index + operator.length;
+        return operator.length - 1;
+    });
+    add(command.length);
+
+    return steps;
+}
+
+// Words of a shell command with their unquoted value and position; pipes end a word
+function splitWords(command) {
+    const words = [];
+    let start = null;
+
+    const end = (index) => {
+        if (start !== null) {
+            const raw = command.slice(start, index);
+            words.push({ raw, value: raw.replace(/\\(.)|'([^']*)'|"((?:\\.|[^"\\])*)"/g, (match, escaped, single, double) => escaped ?? single ?? double.replace(/\\(.)/g, '$1')), start, end: index });
+            start = null;
+        }
+    };
+
+    scanUnquoted(
+        command,
+        (index) => {
+            if (/\s|\|/.test(command[index])) {
+                end(index);
+            } else if (start === null) {
+                start = index;
+            }
+            return 0;
+        },
+        (index) => {
+            start ??= index;
+        },
+    );
+    end(command.length);
+
+    return words;
+}
+
+/**
+ * Calls `visit` with the index of every character outside quotes and after
+ * escapes, `visitQuoted` with the start of every quoted string or escape.
+ * `visit` returns how many further characters to skip.
+ */
+function scanUnquoted(command, visit, visitQuoted = () => {}) {
+    let quote = null;
+    for (let index = 0; index < command.length; index++) {
+        const char = command[index];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                index++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '\\') {
+            visitQuoted(index);
+            index++;
+        } else if (char === "'" || char === '"') {
+            visitQuoted(index);
+            quote = char;
+        } else {
+            index += visit(index);
+        }
+    }
+}
@@ -0,0 +1,142 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import { glob } from 'glob';
+import path from 'path';
+import { ConversionManifest, MANIFEST_FILE, blobHash } from './conversion-manifest.js';
+
+/**
+ * Compares the published template with freshly generated output to find what
+ * a deploy would overwrite. The template is a working directory, or a git
+ * repository (also a bare clone) read at `ref`. The manifest the template
+ * was published with records the hash every file had when it was generated:
+ *
+ * - A file the template still has as generated that the new output changes,
+ *   adds or removes is an expected change from upstream or the converter.
+ * - A file edited, added or deleted in the template since is a manual edit,
+ *   and the deploy would overwrite it unless the new output matches it.
+ *
+ * A template without a manifest (published before there was one) cannot be
+ * told apart, so its differences are reported as unclassified.
+ */
+export class DriftChecker {
+    constructor({ template, output, ref = null }) {
+        this.template = template;
+        this.output = output;
+        this.ref = ref;
+    }
+
+    check() {
+        const templateFiles = this.templateFiles();
+        const outputFiles = hashFiles(this.output);
+        const published = this.publishedManifest();
+        const current = ConversionManifest.read(this.output);
+        const generated = published ? new Map(Object.entries(published.files).filter(([, entry]) => entry.outputHash).map(([file, entry]) => [file, entry.outputHash])) : null;
+
+        const expected = [];
+        const manual = [];
+        const unclassified = [];
+        const files = [...new Set([...templateFiles.keys(), ...outputFiles.keys(), ...(generated?.keys() ?? [])])].filter((file) => file !== MANIFEST_FILE).sort();
+
+        for (const file of files) {
+            const inTemplate = templateFiles.get(file) ?? null;
+            const inOutput = outputFiles.get(file) ?? null;
+            if (inTemplate === inOutput) {
+                continue;
+            }
+
+            const status = inTemplate === null ? 'added' : inOutput === null ? 'deleted' : 'modified';
+            if (!generated) {
+                unclassified.push({ file, status });
+                continue;
+            }
+
+            const wasGenerated = generated.get(file) ?? null;
+            if (inTemplate === wasGenerated) {
+                expected.push({ file, status, reason: this.expectedReason(file, published, current) });
+            } else {
+                manual.push({ file, status, edit: wasGenerated === null ? 'added in the template' : inTemplate === null ? 'deleted in the template' : 'edited in the template' });
+            }
+        }
+
+        return {
+            template: this.ref ? `${this.template} (${this.ref})` : this.template,
+            output: this.output,
+            manifest: Boolean(published),
+            expected,
+            manual,
+            unclassified,
+        };
+    }
+
+    // Why the output of a file changed, from the published and the current manifest
+    expectedReason(file, published, current) {
+        const before = published.files[file];
+        const after = current?.files[file];
+        if (!after || after.operation === 'deleted') {
+            return before?.source ? `${before.source} no longer produces it` : 'no longer generated';
+        }
+        const from = after.source ? `${after.operation} from ${after.source}` : after.operation;
+        if (!before?.outputHash) {
+            return `new, ${from}`;
+        }
+        if (after.sourceHash !== before.sourceHash) {
+            return `${after.source ?? 'source'} changed upstream (${from})`;
+        }
+        if (current.converter?.version !== published.converter?.version) {
+            return `converter or conversion config changed (${from})`;
+        }
+        return from;
+    }
+
+    // Git blob hash of every file of the template
+    templateFiles() {
+        if (!this.readsGit()) {
+            return hashFiles(this.template);
+        }
+        const listing = this.git('ls-tree', '-r', '-z', this.ref ?? 'HEAD');
+        return new Map(
+            listing
+                .split('\0')
+                .filter(Boolean)
+                .map((line) => {
+                    const [meta, file] = line.split('\t');
+                    return [file, meta.split(' ')[2]];
+                }),
+        );
+    }
+
+    publishedManifest() {
+        if (!this.readsGit()) {
+            return ConversionManifest.read(this.template);
+        }
+        try {
+            return JSON.parse(this.git('show', `${this.ref ?? 'HEAD'}:${MANIFEST_FILE}`));
+        } catch {
+            return null;
+        }
+    }
+
+    // A ref is read from git; without one, a bare clone has no working tree to read
+    readsGit() {
+        if (this.ref) {
+            return true;
+        }
+        try {
+            return this.git('rev-parse', '--is-bare-repository').trim() === 'true';
+        } catch {
+            return false;
+        }
+    }
+
+    git(...args) {
+        return execFileSync('git', args, { cwd: this.template, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+    }
+}
+
+function hashFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        throw new Error(`${dir} does not exist`);
+    }
+    const files = glob.sync('**/*', { cwd: dir, nodir: true, dot: true, posix: true, ignore: ['.git/**'] });
+    return new Map(files.map((file) => [file, blobHash(fs.readFileSync(path.join(dir, file)))]));
+}
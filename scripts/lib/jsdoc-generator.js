@@ -0,0 +1,219 @@
+import ts from 'typescript';
+
+/**
+ * Turns TypeScript declarations into JSDoc so that editors keep offering
+ * completions for the converted JavaScript (VS Code with `checkJs`, for
+ * example). Interfaces and type aliases become `@typedef` blocks, typed
+ * component parameters become `@param` tags and type-only imports become
+ * `@import` tags.
+ */
+export class JsDocGenerator {
+    constructor() {
+        this.printer = ts.createPrinter({ removeComments: true });
+    }
+
+    /**
+     * Builds a standalone module of typedefs from a declaration file such as
+     * `types/index.d.ts`. Returns null when the file declares no types.
+     */
+    generateTypesModule(source, fileName) {
+        const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+        const blocks = [];
+        const imports = [];
+
+        for (const statement of sourceFile.statements) {
+            if (ts.isImportDeclaration(statement) && statement.importClause) {
+                imports.push(this.importTag(statement, this.importBindings(statement), sourceFile));
+            } else if (ts.isInterfaceDeclaration(statement) || ts.isTypeAliasDeclaration(statement)) {
+                blocks.push(this.typedef(statement, sourceFile));
+            }
+        }
+
+        if (blocks.length === 0) {
+            return null;
+        }
+
+        const header = imports.length > 0 ? `${imports.join('\n')}\n\n` : '';
+        return `${header}${blocks.join('\n\n')}\n\nexport {};\n`;
+    }
+
+    /**
+     * Lists the augmentations of a declaration file, `declare global { ... }`,
+     * `declare module '...' { ... }` and `declare namespace`, which have no
+     * JSDoc counterpart and are left out of the typedef module, as residual
+     * findings for the conversion report.
+     *
+     * @returns {{ construct: string, line: number, column: number, text: string }[]}
+     */
+    augmentations(source, fileName) {
+        const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+
+        return sourceFile.statements.filter(ts.isModuleDeclaration).map((statement) => {
+            const { line, character } = sourceFile.getLineAndCharacterOfPosition(statement.getStart(sourceFile));
+            const construct =
+                statement.flags & ts.NodeFlags.GlobalAugmentation ? 'declare global' : ts.isStringLiteral(statement.name) ? 'declare module' : 'declare namespace';
+            return { construct, line: line + 1, column: character + 1, text: statement.getText(sourceFile).split('\n')[0] };
+        });
+    }
+
+    /**
+     * Renders an interface or type alias as a `@typedef` comment. Plain object
+     * shapes are listed with `@property` tags; anything else (heritage clauses,
+     * index signatures, unions) is kept as a single type expression.
+     */
+    typedef(node, sourceFile, indent = '') {
+        const lines = this.description(node);
+        const templates = this.templateTags(node, sourceFile);
+        const members = ts.isInterfaceDeclaration(node) ? node.members : ts.isTypeLiteralNode(node.type) ? node.type.members : null;
+        const heritage = ts.isInterfaceDeclaration(node) ? (node.heritageClauses ?? []).flatMap((clause) => clause.types) : [];
+
+        if (lines.length > 0) {
+            lines.push('');
+        }
+        lines.push(...templates);
+
+        if (members && heritage.length === 0 && members.every((member) => this.isDocumentableMember(member))) {
+            lines.push(`@typedef {Object} ${node.name.text}`);
+            for (const member of members) {
+                lines.push(this.propertyTag(member, sourceFile));
+            }
+        } else {
+            const parts = heritage.map((type) => this.print(type, sourceFile));
+            if (members) {
+                parts.push(this.print(ts.factory.createTypeLiteralNode(members), sourceFile));
+            } else {
+                parts.push(this.print(node.type, sourceFile));
+            }
+            lines.push(`@typedef {${parts.join(' & ')}} ${node.name.text}`);
+        }
+
+        return this.block(lines, indent);
+    }
+
+    /**
+     * Renders `@template` tags for the type parameters of a function and
+     * `@param` tags for its annotated parameters. Destructured parameters are
+     * named `props` (or `paramN`), which editors match to the binding pattern
+     * by position.
+     */
+    params(fn, sourceFile, indent = '') {
+        const params = fn.parameters
+            .filter((parameter) => parameter.type)
+            .map((parameter) => {
+                const index = fn.parameters.indexOf(parameter);
+                const name = ts.isIdentifier(parameter.name) ? parameter.name.text : index === 0 ? 'props' : `param${index}`;
+                const optional = parameter.questionToken || parameter.initializer;
+                const type = this.print(parameter.type, sourceFile);
+                const prefix = parameter.dotDotDotToken ? '...' : '';
+                return `@param {${prefix}${type}} ${optional ? `[${name}]` : name}`;
+            });
+
+        return params.length > 0 ? this.block([...this.templateTags(fn, sourceFile), ...params], indent) : null;
+    }
+
+    // `<T extends Item = Row>` becomes `@template {Item} [T=Row]`
+    templateTags(node, sourceFile) {
+        return (node.typeParameters ?? []).map((parameter) => {
+            const constraint = parameter.constraint ? `{${this.print(parameter.constraint, sourceFile)}} ` : '';
+            const name = parameter.default ? `[${parameter.name.text}=${this.print(parameter.default, sourceFile)}]` : parameter.name.text;
+            return `@template ${constraint}${name}`;
+        });
+    }
+
+    /**
+     * Renders an `@import` tag for the given bindings of an import declaration,
+     * keeping the original module specifier quoting.
+     */
+    importTag(declaration, bindings, sourceFile) {
+        const specifier = declaration.moduleSpecifier.getText(sourceFile);
+        const defaultBinding = bindings.find((binding) => binding.kind === 'default');
+        const namespaceBinding = bindings.find((binding) => binding.kind === 'namespace');
+        const named = bindings
+            .filter((binding) => binding.kind === 'named')
+            .map((binding) => (binding.propertyName ? `${binding.propertyName} as ${binding.name}` : binding.name));
+
+        const clauses = [];
+        if (defaultBinding) {
+            clauses.push(defaultBinding.name);
+        }
+        if (namespaceBinding) {
+            clauses.push(`* as ${namespaceBinding.name}`);
+        }
+        if (named.length > 0) {
+            clauses.push(`{ ${named.join(', ')} }`);
+        }
+
+        return `/** @import ${clauses.join(', ')} from ${specifier} */`;
+    }
+
+    importBindings(declaration) {
+        const clause = declaration.importClause;
+        const bindings = [];
+
+        if (clause.name) {
+            bindings.push({ kind: 'default', name: clause.name.text });
+        }
+        if (clause.namedBindings && ts.isNamespaceImport(clause.namedBindings)) {
+            bindings.push({ kind: 'namespace', name: clause.namedBindings.name.text });
+        } else if (clause.namedBindings) {
+            for (const element of clause.namedBindings.elements) {
+                bindings.push({ kind: 'named', name: element.name.text, propertyName: element.propertyName?.text });
+            }
+        }
+
+        return bindings;
+    }
+
+    // Rendering helpers
+    isDocumentableMember(member) {
+        return (ts.isPropertySignature(member) || ts.isMethodSignature(member)) && !ts.isComputedPropertyName(member.name);
+    }
+
+    propertyTag(member, sourceFile) {
+        const name = member.name.getText(sourceFile);
+        let type;
+
+        if (ts.isMethodSignature(member)) {
+            const parameters = member.parameters.map((parameter) => this.print(parameter, sourceFile)).join(', ');
+            const returnType = member.type ? this.print(member.type, sourceFile) : 'void';
+            type = `(${parameters}) => ${returnType}`;
+        } else {
+            type = member.type ? this.print(member.type, sourceFile) : '*';
+        }
+
+        const description = this.memberDescription(member, sourceFile);
+        const tag = `@property {${type}} ${member.questionToken ? `[${name}]` : name}`;
+        return description ? `${tag} - ${description}` : tag;
+    }
+
+    description(node) {
+        return ts
+            .getJSDocCommentsAndTags(node)
+            .filter((doc) => ts.isJSDoc(doc) && doc.comment)
+            .flatMap((doc) => ts.getTextOfJSDocComment(doc.comment).split('\n'));
+    }
+
+    memberDescription(member, sourceFile) {
+        const jsDoc = this.description(member);
+        if (jsDoc.length > 0) {
+            return jsDoc.join(' ');
+        }
+
+        const trailing = ts.getTrailingCommentRanges(sourceFile.text, member.end) ?? [];
+        const comment = trailing.find((range) => range.kind === ts.SyntaxKind.SingleLineCommentTrivia);
+        return comment ? sourceFile.text.slice(comment.pos + 2, comment.end).trim() : null;
+    }
+
+    print(node, sourceFile) {
+        return this.printer
+            .printNode(ts.EmitHint.Unspecified, node, sourceFile)
+            .replace(/\s+/g, ' ')
+            .replace(/;\s*}/g, ' }')
+            .trim();
+    }
+
+    block(lines, indent) {
+        const body = lines.map((line) => (line ? `${indent} * ${line}` : `${indent} *`));
+        return [`/**`, ...body, `${indent} */`].join('\n');
+    }
+}
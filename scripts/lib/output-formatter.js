@@ -0,0 +1,100 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import * as prettier from 'prettier';
+
+// Files Prettier reads its options from, so changing them invalidates the conversion cache; a `prettier` key in package.json is hashed on its own
+export const PRETTIER_FILES = [
+    '.prettierrc',
+    '.prettierrc.json',
+    '.prettierrc.yaml',
+    '.prettierrc.yml',
+    '.prettierrc.json5',
+    '.prettierrc.js',
+    '.prettierrc.mjs',
+    '.prettierrc.cjs',
+    '.prettierrc.ts',
+    '.prettierrc.mts',
+    '.prettierrc.cts',
+    '.prettierrc.toml',
+    'prettier.config.js',
+    'prettier.config.mjs',
+    'prettier.config.cjs',
+    'prettier.config.ts',
+    'prettier.config.mts',
+    'prettier.config.cts',
+    '.prettierignore',
+    '.editorconfig',
+];
+
+/**
+ * Formats output files with the template's own Prettier configuration, so
+ * the template passes its `npm run format:check`. The config and
+ * `.prettierignore` are read from the output directory (the copies of the
+ * project's files), falling back to the project root when the output does
+ * not have them yet. Plugins listed by name are resolved from the output,
+ * then the project root, as the output has no node_modules of its own.
+ */
+export class OutputFormatter {
+    constructor({ outputDir, root }) {
+        this.outputDir = outputDir;
+        this.root = root;
+    }
+
+    async load() {
+        this.configFile =
+            (await prettier.resolveConfigFile(path.join(this.outputDir, 'package.json'))) ??
+            (await prettier.resolveConfigFile(path.join(this.root, 'package.json')));
+        this.ignorePath = [this.outputDir, this.root].map((dir) => path.join(dir, '.prettierignore')).find((file) => fs.existsSync(file)) ?? null;
+    }
+
+    /**
+     * Formats the files in place. Files Prettier ignores or has no parser for
+     * are left alone; files it cannot parse are returned as failures with the
+     * parser's message.
+     */
+    async format(files) {
+        if (this.configFile === undefined) {
+            await this.load();
+        }
+
+        const formatted = [];
+        const failed = [];
+        for (const file of files) {
+            const info = await prettier.getFileInfo(file, { ignorePath: this.ignorePath ?? undefined });
+            if (info.ignored || !info.inferredParser) {
+                continue;
+            }
+
+            try {
+                const content = fs.readFileSync(file, 'utf8');
+                const options = await prettier.resolveConfig(file, { config: this.configFile ?? undefined, editorconfig: true });
+                const result = await prettier.format(content, { ...options, plugins: this.resolvePlugins(options?.plugins ?? []), filepath: file });
+                if (result !== content) {
+                    fs.writeFileSync(file, result);
+                    formatted.push(file);
+                }
+            } catch (err) {
+                failed.push({ file, message: err.message.split('\n')[0] });
+            }
+        }
+        return { formatted, failed };
+    }
+
+    resolvePlugins(plugins) {
+        const baseDirs = [...new Set([this.configFile ? path.dirname(this.configFile) : null, this.outputDir, this.root].filter(Boolean))];
+        return plugins.map((plugin) => {
+            if (typeof plugin !== 'string') {
+                return plugin;
+            }
+            for (const dir of baseDirs) {
+                try {
+                    return createRequire(path.join(dir, 'package.json')).resolve(plugin);
+                } catch {
+                    // Try the next directory
+                }
+            }
+            throw new Error(`Prettier plugin ${plugin} is not installed in ${this.root}`);
+        });
+    }
+}
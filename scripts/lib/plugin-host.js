@@ -0,0 +1,129 @@
+import process from 'node:process';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseSource } from './rule-engine.js';
+
+export const HOOKS = ['beforeFile', 'transformSource', 'afterFile', 'beforeWrite', 'onComplete'];
+
+/**
+ * Runs the hooks of converter plugins. A plugin is an object with a `name`
+ * and any of the hooks below, or a module whose default export is one (or a
+ * function returning one from the options given in the config). Hooks may
+ * be async and run in the order the plugins are listed.
+ *
+ * Every file hook receives a context `{ stage, source, output, ast }`, where
+ * stage is 'copy', 'convert', 'process', 'references' or 'config' and
+ * `ast()` parses the code the hook is given into a TypeScript SourceFile:
+ *
+ * - `beforeFile(context)` returns false to leave the file alone.
+ * - `transformSource(code, context)` returns the source text to convert.
+ * - `beforeWrite(code, context)` returns the text written to the output.
+ * - `afterFile(context)` runs once the file is written, with `code`.
+ * - `onComplete({ success, outputDir, operations })` runs after every run.
+ */
+export class PluginHost {
+    /**
+     * @param {object[]} [plugins]
+     * @param {string} [root] Project root, which files in error messages are shown relative to.
+     */
+    constructor(plugins = [], root = process.cwd()) {
+        this.plugins = plugins;
+        this.root = root;
+    }
+
+    /**
+     * @param {(string|[string, object]|object)[]} entries Module paths, `[path, options]` pairs or
+     *   plugin objects, as listed in the conversion config.
+     * @param {string} [root] Project root, see the constructor.
+     */
+    static async load(entries, root) {
+        const plugins = [];
+        for (const entry of entries) {
+            const [specifier, options = {}] = Array.isArray(entry) ? entry : [entry];
+            let plugin = specifier;
+            let file = null;
+
+            if (typeof specifier === 'string') {
+                file = path.resolve(specifier);
+                plugin = (await import(pathToFileURL(file).href)).default;
+            }
+            if (typeof plugin === 'function') {
+                plugin = await plugin(options);
+            }
+            if (!plugin || typeof plugin !== 'object') {
+                throw new Error(`${specifier} does not export a converter plugin`);
+            }
+
+            const unknown = Object.keys(plugin).filter((key) => key !== 'name' && !HOOKS.includes(key));
+            if (unknown.length > 0) {
+                throw new Error(`Plugin ${plugin.name ?? specifier} has unknown hooks: ${unknown.join(', ')}, expected: ${HOOKS.join(', ')}`);
+            }
+
+            plugins.push({ ...plugin, name: plugin.name ?? (file ? path.basename(file) : `plugin ${plugins.length + 1}`), file });
+        }
+        return new PluginHost(plugins, root);
+    }
+
+    // Module files, so editing a plugin invalidates the conversion cache
+    get files() {
+        return this.plugins.map((plugin) => plugin.file).filter(Boolean);
+    }
+
+    has(hook) {
+        return this.plugins.some((plugin) => typeof plugin[hook] === 'function');
+    }
+
+    async beforeFile(context) {
+        for (const plugin of this.plugins) {
+            if ((await this.call(plugin, 'beforeFile', [context], context)) === false) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    transformSource(code, context) {
+        return this.pipe('transformSource', code, context, context.source);
+    }
+
+    beforeWrite(code, context) {
+        return this.pipe('beforeWrite', code, context, context.output);
+    }
+
+    async afterFile(context) {
+        for (const plugin of this.plugins) {
+            await this.call(plugin, 'afterFile', [context], context);
+        }
+    }
+
+    async onComplete(result) {
+        for (const plugin of this.plugins) {
+            await this.call(plugin, 'onComplete', [result]);
+        }
+    }
+
+    // Each plugin gets the previous one's result; returning nothing keeps the code as it is
+    async pipe(hook, code, context, file) {
+        for (const plugin of this.plugins) {
+            const result = await this.call(plugin, hook, [code, { ...context, ast: () => parseSource(file, code) }], context);
+            if (typeof result === 'string') {
+                code = result;
+            } else if (result !== undefined && result !== null) {
+                throw new Error(`Plugin ${plugin.name}: ${hook} must return a string for ${file}`);
+            }
+        }
+        return code;
+    }
+
+    async call(plugin, hook, args, context = null) {
+        if (typeof plugin[hook] !== 'function') {
+            return undefined;
+        }
+        try {
+            return await plugin[hook](...args);
+        } catch (err) {
+            const file = context ? ` for ${path.relative(this.root, context.source ?? context.output)}` : '';
+            throw new Error(`Plugin ${plugin.name} failed in ${hook}${file}: ${err.message}`);
+        }
+    }
+}
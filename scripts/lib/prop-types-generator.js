@@ -0,0 +1,305 @@
+import path from 'path';
+import ts from 'typescript';
+
+const NODE_TYPES = new Set(['ReactNode']);
+const ELEMENT_TYPES = new Set(['ReactElement', 'Element', 'JSX.Element']);
+const ELEMENT_TYPE_TYPES = new Set([
+    'ComponentType',
+    'ElementType',
+    'FC',
+    'FunctionComponent',
+    'ComponentClass',
+    'ExoticComponent',
+    'ForwardRefExoticComponent',
+    'MemoExoticComponent',
+    'LucideIcon',
+]);
+
+const MAX_SHAPE_DEPTH = 2;
+
+/**
+ * Derives `Component.propTypes` blocks from the TypeScript props of React
+ * components. A type-checked program over the source tree resolves props that
+ * come from other modules (`@/types`, `VariantProps<typeof variants>`, ...).
+ *
+ * Only props declared inside the project are listed, plus any inherited prop
+ * the component destructures by name; pass-through DOM attributes from
+ * `React.ComponentProps<'button'>` and friends are left to React. Types that
+ * cannot be mapped degrade to `PropTypes.any` and are reported as issues.
+ */
+export class PropTypesGenerator {
+    constructor(fileNames, compilerOptions) {
+        this.projectFiles = new Set(fileNames.map((fileName) => path.resolve(fileName)));
+        this.program = ts.createProgram(fileNames, { ...compilerOptions, noEmit: true });
+        this.checker = this.program.getTypeChecker();
+    }
+
+    /**
+     * Creates a generator for the given files using the compiler options of a
+     * tsconfig.json, so path aliases such as `@/*` resolve like in the editor.
+     */
+    static fromTsConfig(tsconfigPath, fileNames) {
+        const { config, error } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+        if (error) {
+            throw new Error(ts.flattenDiagnosticMessageText(error.messageText, '\n'));
+        }
+
+        const { options } = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(tsconfigPath));
+        return new PropTypesGenerator(fileNames, options);
+    }
+
+    /**
+     * Returns the propTypes blocks for every typed component in a file, with
+     * the offset each block should be inserted at, plus unresolved props.
+     */
+    generate(fileName) {
+        const sourceFile = this.program.getSourceFile(path.resolve(fileName));
+        const result = { blocks: [], issues: [] };
+
+        if (!sourceFile) {
+            return result;
+        }
+
+        const style = this.detectStyle(sourceFile.text);
+
+        for (const statement of sourceFile.statements) {
+            const component = this.componentOf(statement);
+            if (!component) {
+                continue;
+            }
+
+            const props = this.collectProps(component);
+            if (props.length === 0) {
+                continue;
+            }
+
+            const entries = props.map((prop) => {
+                const expression = this.expression(prop.type, 0, style, (reason) =>
+                    result.issues.push({ component: component.name, prop: prop.name, reason }),
+                );
+                const required = prop.required && expression !== 'PropTypes.any' ? '.isRequired' : '';
+                return `${style.indent}${this.propertyKey(prop.name, style)}: ${expression}${required},`;
+            });
+
+            result.blocks.push({
+                component: component.name,
+                position: statement.end,
+                code: `\n\n${component.name}.propTypes = {\n${entries.join('\n')}\n}${style.semicolon}`,
+            });
+        }
+
+        return result;
+    }
+
+    importStatement(fileName) {
+        const sourceFile = this.program.getSourceFile(path.resolve(fileName));
+        const style = this.detectStyle(sourceFile?.text ?? '');
+        return `import PropTypes from ${style.quote}prop-types${style.quote}${style.semicolon}`;
+    }
+
+    // Component discovery
+    componentOf(statement) {
+        let name;
+        let fn;
+
+        if (ts.isFunctionDeclaration(statement) && statement.body && statement.name) {
+            name = statement.name.text;
+            fn = statement;
+        } else if (ts.isVariableStatement(statement) && statement.declarationList.declarations.length === 1) {
+            const [declaration] = statement.declarationList.declarations;
+            const initializer = declaration.initializer;
+            if (ts.isIdentifier(declaration.name) && initializer && (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer))) {
+                name = declaration.name.text;
+                fn = initializer;
+            }
+        }
+
+        const [propsParameter] = fn?.parameters ?? [];
+        if (!name || !/^[A-Z]/.test(name) || !propsParameter?.type) {
+            return null;
+        }
+
+        return { name, parameter: propsParameter };
+    }
+
+    collectProps(component) {
+        const propsType = this.checker.getTypeFromTypeNode(component.parameter.type);
+        const destructured = new Set();
+
+        if (ts.isObjectBindingPattern(component.parameter.name)) {
+            for (const element of component.parameter.name.elements) {
+                const key = element.propertyName ?? element.name;
+                if (!element.dotDotDotToken && ts.isIdentifier(key)) {
+                    destructured.add(key.text);
+                }
+            }
+        }
+
+        return this.checker
+            .getPropertiesOfType(propsType)
+            .filter((symbol) => destructured.has(symbol.getName()) || this.isProjectDeclared(symbol))
+            .map((symbol) => {
+                const type = this.checker.getTypeOfSymbolAtLocation(symbol, component.parameter);
+                return {
+                    name: symbol.getName(),
+                    type,
+                    required: !(symbol.flags & ts.SymbolFlags.Optional) && !this.includesNullish(type),
+                };
+            });
+    }
+
+    isProjectDeclared(symbol) {
+        return (symbol.declarations ?? []).some((declaration) =>
+            this.projectFiles.has(path.resolve(declaration.getSourceFile().fileName)),
+        );
+    }
+
+    // Type mapping
+    expression(type, depth, style, report) {
+        const name = this.typeName(type);
+
+        if (name && NODE_TYPES.has(name)) {
+            return 'PropTypes.node';
+        }
+        if (name && ELEMENT_TYPES.has(name)) {
+            return 'PropTypes.element';
+        }
+        if (name && ELEMENT_TYPE_TYPES.has(name)) {
+            return 'PropTypes.elementType';
+        }
+
+        if (type.flags & ts.TypeFlags.Any) {
+            if (type.intrinsicName === 'error') {
+                report('type could not be resolved');
+            }
+            return 'PropTypes.any';
+        }
+        if (type.flags & ts.TypeFlags.Unknown) {
+            return 'PropTypes.any';
+        }
+
+        if (type.isUnion()) {
+            return this.unionExpression(type, depth, style, report);
+        }
+
+        if (type.flags & ts.TypeFlags.StringLike) {
+            return type.isStringLiteral() ? `PropTypes.oneOf([${this.literal(type.value, style)}])` : 'PropTypes.string';
+        }
+        if (type.flags & ts.TypeFlags.NumberLike) {
+            return type.isNumberLiteral() ? `PropTypes.oneOf([${type.value}])` : 'PropTypes.number';
+        }
+        if (type.flags & ts.TypeFlags.BooleanLike) {
+            return 'PropTypes.bool';
+        }
+        if (type.flags & ts.TypeFlags.ESSymbolLike) {
+            return 'PropTypes.symbol';
+        }
+
+        if (this.checker.isArrayType(type)) {
+            const [elementType] = this.checker.getTypeArguments(type);
+            return `PropTypes.arrayOf(${this.expression(elementType, depth, style, report)})`;
+        }
+        if (this.checker.isTupleType(type)) {
+            return 'PropTypes.array';
+        }
+
+        if (type.flags & ts.TypeFlags.Object || type.isIntersection()) {
+            return this.objectExpression(type, depth, style, report);
+        }
+
+        report(`unsupported type "${this.checker.typeToString(type)}"`);
+        return 'PropTypes.any';
+    }
+
+    unionExpression(type, depth, style, report) {
+        const members = type.types.filter((member) => !(member.flags & (ts.TypeFlags.Null | ts.TypeFlags.Undefined | ts.TypeFlags.Void)));
+        const literals = members.filter((member) => member.isStringLiteral() || member.isNumberLiteral());
+        const others = members.filter((member) => !literals.includes(member));
+
+        const expressions = [];
+        if (literals.length > 0) {
+            const values = literals.map((member) => (member.isStringLiteral() ? this.literal(member.value, style) : member.value));
+            expressions.push(`PropTypes.oneOf([${values.join(', ')}])`);
+        }
+        for (const member of others) {
+            const expression = this.expression(member, depth, style, report);
+            if (!expressions.includes(expression)) {
+                expressions.push(expression);
+            }
+        }
+
+        if (expressions.length === 0) {
+            return 'PropTypes.any';
+        }
+        if (expressions.includes('PropTypes.any')) {
+            return 'PropTypes.any';
+        }
+        return expressions.length === 1 ? expressions[0] : `PropTypes.oneOfType([${expressions.join(', ')}])`;
+    }
+
+    objectExpression(type, depth, style, report) {
+        if (this.checker.getSignaturesOfType(type, ts.SignatureKind.Call).length > 0) {
+            return 'PropTypes.func';
+        }
+
+        const properties = this.checker.getPropertiesOfType(type);
+        const indexInfos = this.checker.getIndexInfosOfType(type);
+
+        if (properties.length === 0 && indexInfos.length > 0) {
+            return `PropTypes.objectOf(${this.expression(indexInfos[0].type, depth + 1, style, report)})`;
+        }
+        if (properties.length === 0 || depth >= MAX_SHAPE_DEPTH || properties.some((symbol) => !symbol.valueDeclaration && !symbol.declarations?.length)) {
+            return 'PropTypes.object';
+        }
+        if (!properties.every((symbol) => this.isProjectDeclared(symbol))) {
+            return 'PropTypes.object';
+        }
+
+        const fields = properties.map((symbol) => {
+            const propertyType = this.checker.getTypeOfSymbol(symbol);
+            const required = !(symbol.flags & ts.SymbolFlags.Optional) && !this.includesNullish(propertyType);
+            const expression = this.expression(propertyType, depth + 1, style, report);
+            const suffix = required && expression !== 'PropTypes.any' ? '.isRequired' : '';
+            return `${this.propertyKey(symbol.getName(), style)}: ${expression}${suffix}`;
+        });
+
+        return `PropTypes.shape({ ${fields.join(', ')} })`;
+    }
+
+    typeName(type) {
+        const symbol = type.aliasSymbol ?? type.getSymbol();
+        if (!symbol) {
+            return null;
+        }
+
+        const name = symbol.getName();
+        const parent = symbol.parent?.getName();
+        return parent === 'JSX' ? `JSX.${name}` : name;
+    }
+
+    includesNullish(type) {
+        const members = type.isUnion() ? type.types : [type];
+        return members.some((member) => member.flags & (ts.TypeFlags.Null | ts.TypeFlags.Undefined));
+    }
+
+    // Output formatting
+    detectStyle(text) {
+        const indent = text.match(/^( {2,}|\t)\S/m)?.[1] ?? '    ';
+        const imports = text.match(/^import .*$/gm) ?? [];
+        const doubleQuoted = imports.filter((line) => /"[^"]*"\s*;?\s*$/.test(line)).length;
+
+        return {
+            indent,
+            quote: doubleQuoted > imports.length / 2 ? '"' : "'",
+            semicolon: imports.length > 0 && imports.every((line) => !line.trim().endsWith(';')) ? '' : ';',
+        };
+    }
+
+    literal(value, style) {
+        return `${style.quote}${String(value).replaceAll('\\', '\\\\').replaceAll(style.quote, `\\${style.quote}`)}${style.quote}`;
+    }
+
+    propertyKey(name, style) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? name : this.literal(name, style);
+    }
+}
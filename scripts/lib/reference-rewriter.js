@@ -0,0 +1,190 @@
+import { glob } from 'glob';
+import path from 'path';
+import ts from 'typescript';
+import { parseSource } from './rule-engine.js';
+
+const TS_EXTENSION = /\.([cm]?)ts(x?)$/;
+const DEFAULT_EXTENSIONS = { '.ts': '.js', '.tsx': '.jsx', '.mts': '.mjs', '.cts': '.cjs' };
+
+/**
+ * Points module references of converted code at the converted files. Only
+ * references are touched, never other string literals:
+ *
+ * - import and export specifiers and dynamic `import()` calls, also with a
+ *   template literal such as `import(\`./pages/${name}.tsx\`)`;
+ * - `import.meta.glob()` patterns, including negated and `{ts,tsx}` ones;
+ * - keys looked up in the result of `import.meta.glob()` within the same
+ *   call, e.g. `resolvePageComponent(\`./pages/${name}.tsx\`, import.meta.glob(...))`.
+ *
+ * Local specifiers (relative, or starting with an alias such as `@/`) are
+ * resolved against the TypeScript sources and get the extension their file
+ * was converted to, so renames such as a `.ts` file holding JSX becoming
+ * `.jsx` are followed. Specifiers of files that cannot be found get the
+ * default extension (`.ts` → `.js`, `.tsx` → `.jsx`).
+ */
+export class ReferenceRewriter {
+    /**
+     * @param {object} options
+     * @param {string} options.sourceDir Directory holding the TypeScript sources.
+     * @param {Record<string, string>} [options.aliases] Specifier prefixes and the directories they stand for.
+     * @param {(sourceFile: string) => string|null} options.outputExtension Extension the given source file
+     *   was converted to, or null when it is unknown.
+     */
+    constructor({ sourceDir, aliases = {}, outputExtension }) {
+        this.sourceDir = sourceDir;
+        this.aliases = aliases;
+        this.outputExtension = outputExtension;
+    }
+
+    /**
+     * @param {string} code Converted module.
+     * @param {string} file Path of the module's TypeScript source, which relative specifiers are resolved against.
+     * @returns {{ code: string, rewrites: { from: string, to: string, line: number }[] }}
+     */
+    rewrite(code, file) {
+        const sourceFile = parseSource(file.replace(TS_EXTENSION, '.$1js$2'), code);
+        const edits = [];
+
+        // `node` is the literal ending in `text`, `whole` the string or template literal it ends
+        const replaceExtension = (node, text, extension, whole = node) => {
+            const match = text.match(TS_EXTENSION) ?? text.match(/\.\{[^}]*\}$/);
+            // The literal's text ends right before its closing quote or backtick
+            const end = node.end - 1;
+            const start = end - match[0].length;
+            if (code.slice(start, end) !== match[0] || match[0] === extension) {
+                return;
+            }
+            const wholeStart = whole.getStart(sourceFile);
+            const from = code.slice(wholeStart + 1, whole.end - 1);
+            const { line } = sourceFile.getLineAndCharacterOfPosition(wholeStart);
+            edits.push({ start, end, text: extension, from, to: `${from.slice(0, start - wholeStart - 1)}${extension}`, line: line + 1 });
+        };
+
+        const visit = (node) => {
+            if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) && node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)) {
+                this.rewriteSpecifier(node.moduleSpecifier, file, replaceExtension);
+            } else if (ts.isCallExpression(node) && node.expression.kind === ts.SyntaxKind.ImportKeyword && node.arguments.length > 0) {
+                this.rewriteSpecifier(node.arguments[0], file, replaceExtension);
+            } else if (ts.isCallExpression(node) && isImportMetaGlob(node.expression)) {
+                this.rewriteGlob(node, file, replaceExtension);
+            } else if (ts.isCallExpression(node)) {
+                const globCall = node.arguments.find((argument) => ts.isCallExpression(argument) && isImportMetaGlob(argument.expression));
+                if (globCall) {
+                    // A key names one file, so a pattern widened to several extensions leaves it the default one
+                    const globExtension = this.globExtension(globCall, file);
+                    for (const argument of node.arguments.filter((candidate) => candidate !== globCall)) {
+                        const literal = literalTail(argument);
+                        if (literal && TS_EXTENSION.test(literal.text)) {
+                            const extension = globExtension && !globExtension.startsWith('.{') ? globExtension : defaultExtension(literal.text);
+                            replaceExtension(literal.node, literal.text, extension, argument);
+                        }
+                    }
+                }
+            }
+            ts.forEachChild(node, visit);
+        };
+        visit(sourceFile);
+
+        const rewritten = edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((current, { start, end, text }) => current.slice(0, start) + text + current.slice(end), code);
+        return { code: rewritten, rewrites: edits.reverse().map(({ from, to, line }) => ({ from, to, line })) };
+    }
+
+    rewriteSpecifier(node, file, replaceExtension) {
+        const literal = literalTail(node);
+        if (!literal || !TS_EXTENSION.test(literal.text) || literal.text.endsWith('.d.ts')) {
+            return;
+        }
+
+        // Packages are not converted; template literals only name a known file without substitutions
+        const start = ts.isTemplateExpression(node) ? node.head.text : literal.text;
+        if (!this.isLocal(start)) {
+            return;
+        }
+        const target = ts.isTemplateExpression(node) ? null : this.resolve(literal.text, file);
+        replaceExtension(literal.node, literal.text, (target && this.outputExtension(target)) ?? defaultExtension(literal.text), node);
+    }
+
+    rewriteGlob(call, file, replaceExtension) {
+        const patterns = call.arguments[0] && ts.isArrayLiteralExpression(call.arguments[0]) ? call.arguments[0].elements : call.arguments.slice(0, 1);
+        for (const pattern of patterns) {
+            if (ts.isStringLiteralLike(pattern)) {
+                const extension = this.patternExtension(pattern.text, file);
+                if (extension) {
+                    replaceExtension(pattern, pattern.text, extension);
+                }
+            }
+        }
+    }
+
+    // Extension the first pattern of a glob call ends up with, for the keys looked up in its result
+    globExtension(call, file) {
+        const first = call.arguments[0] && ts.isArrayLiteralExpression(call.arguments[0]) ? call.arguments[0].elements[0] : call.arguments[0];
+        return first && ts.isStringLiteralLike(first) ? this.patternExtension(first.text, file) : null;
+    }
+
+    /**
+     * New extension part of a glob pattern: the one every matching source
+     * was converted to, or a brace list when they were converted to several.
+     */
+    patternExtension(pattern, file) {
+        const braces = pattern.match(/\.\{([^}]*)\}$/);
+        if (braces) {
+            const extensions = braces[1].split(',').map((extension) => (DEFAULT_EXTENSIONS[`.${extension}`] ?? `.${extension}`).slice(1));
+            return `.{${[...new Set(extensions)].join(',')}}`;
+        }
+        if (!TS_EXTENSION.test(pattern)) {
+            return null;
+        }
+
+        const negated = pattern.startsWith('!');
+        const absolute = this.resolve(negated ? pattern.slice(1) : pattern, file);
+        const matches = absolute ? glob.sync(absolute.split(path.sep).join('/'), { nodir: true, ignore: '**/*.d.ts' }) : [];
+        const extensions = [...new Set(matches.map((match) => this.outputExtension(match) ?? defaultExtension(match)))].sort();
+
+        if (extensions.length > 1) {
+            return `.{${extensions.map((extension) => extension.slice(1)).join(',')}}`;
+        }
+        return extensions[0] ?? defaultExtension(pattern);
+    }
+
+    isLocal(specifier) {
+        return specifier.startsWith('./') || specifier.startsWith('../') || Object.keys(this.aliases).some((prefix) => specifier.startsWith(prefix));
+    }
+
+    // Source file a local specifier points at; null for package imports
+    resolve(specifier, file) {
+        if (specifier.startsWith('./') || specifier.startsWith('../')) {
+            return path.resolve(path.dirname(file), specifier);
+        }
+        const alias = Object.keys(this.aliases).find((prefix) => specifier.startsWith(prefix));
+        return alias ? path.join(this.aliases[alias], specifier.slice(alias.length)) : null;
+    }
+}
+
+function isImportMetaGlob(expression) {
+    return (
+        ts.isPropertyAccessExpression(expression) &&
+        expression.name.text === 'glob' &&
+        ts.isMetaProperty(expression.expression) &&
+        expression.expression.keywordToken === ts.SyntaxKind.ImportKeyword
+    );
+}
+
+// The string literal, or the last part of a template literal, that ends a specifier
+function literalTail(node) {
+    if (ts.isStringLiteralLike(node)) {
+        return { node, text: node.text };
+    }
+    if (ts.isTemplateExpression(node)) {
+        const tail = node.templateSpans[node.templateSpans.length - 1].literal;
+        return { node: tail, text: tail.text };
+    }
+    return null;
+}
+
+function defaultExtension(file) {
+    const match = file.match(TS_EXTENSION);
+    return match ? DEFAULT_EXTENSIONS[match[0]] : null;
+}
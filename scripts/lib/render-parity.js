@@ -0,0 +1,215 @@
+import { createInertiaApp } from '@inertiajs/react';
+import fs from 'fs';
+import { globSync } from 'glob';
+import path from 'path';
+import { createElement } from 'react';
+import { renderToString } from 'react-dom/server';
+import { createServer } from 'vite';
+import { createUnifiedDiff } from './unified-diff.js';
+
+const WAYFINDER_DIRS = ['actions', 'routes', 'wayfinder'];
+const STUB_PREFIX = '\0wayfinder-stub:';
+
+/**
+ * Renders every page and layout of the TypeScript source and of the converted
+ * JavaScript output with the same Inertia props through `renderToString`, and
+ * diffs the HTML, so a conversion that changes runtime behaviour shows up as
+ * a per-component difference.
+ *
+ * Both trees are loaded through Vite's SSR module loader. Wayfinder modules are
+ * generated from the Laravel routes by PHP, so when they are missing they are
+ * replaced by the same deterministic stubs on both sides.
+ */
+export class RenderParity {
+    constructor({ sourceRoot, outputRoot, sharedData, pageProps = {}, layoutProps = {} }) {
+        this.sourceRoot = sourceRoot;
+        this.outputRoot = outputRoot;
+        this.sharedData = sharedData;
+        this.pageProps = pageProps;
+        this.layoutProps = layoutProps;
+    }
+
+    /**
+     * Returns one result per component: `{ component, kind, status }` where
+     * status is 'identical', 'different' (with a `diff`), 'failed' (with the
+     * `error` of either side) or 'skipped' (with the `error`) when both sides
+     * fail to render the same way, so there is nothing to compare.
+     */
+    async run() {
+        const source = await this.createRenderer(this.sourceRoot);
+        const output = await this.createRenderer(this.outputRoot);
+
+        try {
+            const results = [];
+            for (const component of this.components()) {
+                results.push(await this.compare(component, source, output));
+            }
+            return results;
+        } finally {
+            await source.close();
+            await output.close();
+        }
+    }
+
+    // Pages and layouts of the source tree, with the path of their converted counterpart
+    components() {
+        const jsDir = path.join(this.sourceRoot, 'resources/js');
+        return ['pages', 'layouts'].flatMap((kind) =>
+            globSync(`${kind}/**/*.tsx`, { cwd: jsDir, posix: true })
+                .sort()
+                .map((file) => ({
+                    kind: kind === 'pages' ? 'page' : 'layout',
+                    name: file.replace(/^(pages|layouts)\//, '').replace(/\.tsx$/, ''),
+                    source: `resources/js/${file}`,
+                    output: `resources/js/${file.replace(/\.tsx$/, '.jsx')}`,
+                })),
+        );
+    }
+
+    async compare(component, source, output) {
+        const label = `${component.kind === 'page' ? 'pages' : 'layouts'}/${component.name}`;
+        const [sourceHtml, outputHtml] = await Promise.all([
+            this.render(source, component.source, component),
+            this.render(output, component.output, component),
+        ]);
+
+        if (sourceHtml.error || outputHtml.error) {
+            // Both sides failing identically says nothing about the conversion, e.g. a browser-only component
+            if (sourceHtml.error === outputHtml.error) {
+                return { component: label, kind: component.kind, status: 'skipped', error: sourceHtml.error };
+            }
+            return { component: label, kind: component.kind, status: 'failed', error: sourceHtml.error ?? outputHtml.error };
+        }
+
+        const diff = createUnifiedDiff(formatHtml(sourceHtml.html), formatHtml(outputHtml.html), component.source, component.output);
+        return diff === ''
+            ? { component: label, kind: component.kind, status: 'identical' }
+            : { component: label, kind: component.kind, status: 'different', diff };
+    }
+
+    async render(renderer, file, component) {
+        if (!fs.existsSync(path.join(renderer.root, file))) {
+            return { error: `${file} does not exist` };
+        }
+
+        try {
+            const { default: Component } = await renderer.server.ssrLoadModule(`/${file}`);
+            const pageComponent =
+                component.kind === 'page'
+                    ? Component
+                    : () => createElement(Component, this.layoutProps, createElement('main', null, 'Page content'));
+            const { head, body } = await createInertiaApp({
+                page: {
+                    component: component.name,
+                    props: { ...this.sharedData, ...this.pageProps[component.name] },
+                    url: `/${component.name}`,
+                    version: null,
+                    clearHistory: false,
+                    encryptHistory: false,
+                },
+                render: renderToString,
+                title: (title) => (title ? `${title} - ${this.sharedData.name}` : this.sharedData.name),
+                resolve: () => pageComponent,
+                setup: ({ App, props }) => createElement(App, props),
+            });
+            return { html: `${head.join('\n')}\n${body}` };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    async createRenderer(root) {
+        const jsDir = path.join(root, 'resources/js');
+        const server = await createServer({
+            configFile: false,
+            root,
+            logLevel: 'silent',
+            appType: 'custom',
+            server: { middlewareMode: true, hmr: false, ws: false, watch: null },
+            optimizeDeps: { noDiscovery: true, include: [] },
+            resolve: { alias: { '@': jsDir } },
+            esbuild: { jsx: 'automatic' },
+            plugins: [wayfinderStubs(jsDir)],
+        });
+
+        return { root, server, close: () => server.close() };
+    }
+}
+
+/**
+ * Resolves imports of missing Wayfinder modules to stubs exporting every name
+ * the tree imports from them. A stub is callable at any depth, e.g.
+ * `store.form()` or `dashboard().url`, and returns URLs built from its path.
+ */
+export function wayfinderStubs(jsDir) {
+    const exportsBySpecifier = collectWayfinderImports(jsDir);
+    let root = null;
+
+    return {
+        name: 'wayfinder-stubs',
+        configResolved(config) {
+            root = config.root;
+        },
+        resolveId(id) {
+            // laravel-vite-plugin aliases `@` to `/resources/js`, which is relative to the Vite root
+            const file = root && path.isAbsolute(id) && !id.startsWith(jsDir) ? path.join(root, id) : id;
+            const relative = path.relative(jsDir, file).split(path.sep).join('/');
+            const [topLevel] = relative.split('/');
+            if (!path.isAbsolute(id) || relative.startsWith('..') || !WAYFINDER_DIRS.includes(topLevel)) {
+                return null;
+            }
+            if (fs.existsSync(path.join(jsDir, topLevel))) {
+                return null;
+            }
+            return STUB_PREFIX + relative;
+        },
+        load(id) {
+            if (!id.startsWith(STUB_PREFIX)) {
+                return null;
+            }
+
+            const specifier = id.slice(STUB_PREFIX.length);
+            const base = `/${specifier.replace(/^(routes|wayfinder)(\/|$)/, '')}`.replace(/\/$/, '');
+            const names = [...(exportsBySpecifier.get(specifier) ?? [])];
+            return [
+                `const stub = (url) => new Proxy(function () {}, {`,
+                `    get: (target, key) => (key === 'then' || typeof key !== 'string' ? undefined : stub(\`\${url}/\${key}\`)),`,
+                `    apply: () => {`,
+                `        const parent = url.slice(0, url.lastIndexOf('/')) || '/';`,
+                `        if (url.endsWith('/url')) return parent;`,
+                `        if (url.endsWith('/form')) return { action: parent, method: 'post' };`,
+                `        return { url, method: 'get' };`,
+                `    },`,
+                `});`,
+                `export default stub(${JSON.stringify(base)});`,
+                ...names.map((name) => `export const ${name} = stub(${JSON.stringify(`${base}/${name}`)});`),
+            ].join('\n');
+        },
+    };
+}
+
+// Named imports per Wayfinder module across the tree, e.g. `routes/two-factor` → {confirm, show}
+function collectWayfinderImports(jsDir) {
+    const pattern = new RegExp(`import\\s+(?:type\\s+)?(?:\\w+\\s*,?\\s*)?(?:\\{([^}]*)\\})?\\s*from\\s*['"]@/((?:${WAYFINDER_DIRS.join('|')})[^'"]*)['"]`, 'g');
+    const imports = new Map();
+
+    for (const file of globSync('**/*.{ts,tsx,js,jsx}', { cwd: jsDir, absolute: true, nodir: true })) {
+        for (const [, named = '', specifier] of fs.readFileSync(file, 'utf8').matchAll(pattern)) {
+            const names = imports.get(specifier) ?? new Set();
+            for (const part of named.split(',')) {
+                const name = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/)[0];
+                if (name && name !== 'default') {
+                    names.add(name);
+                }
+            }
+            imports.set(specifier, names);
+        }
+    }
+
+    return imports;
+}
+
+// One tag per line, so differences show up as readable hunks
+function formatHtml(html) {
+    return `${html.replace(/></g, '>\n<')}\n`;
+}
@@ -0,0 +1,111 @@
+import ts from 'typescript';
+
+/**
+ * Finds TypeScript syntax left in converted JavaScript. The code is parsed
+ * with the TypeScript parser, which accepts both languages, and every node
+ * that only exists in TypeScript is reported with its position.
+ */
+export class ResidualTypeScriptDetector {
+    /**
+     * @returns {{ construct: string, line: number, column: number, text: string }[]}
+     */
+    scan(code, fileName) {
+        const sourceFile = ts.createSourceFile(fileName, code, ts.ScriptTarget.Latest, true, ts.ScriptKind.TSX);
+        const findings = [];
+
+        const report = (node, construct) => {
+            const { line, character } = sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile));
+            const text = node.getText(sourceFile).split('\n')[0];
+            findings.push({ construct, line: line + 1, column: character + 1, text: text.length > 80 ? `${text.slice(0, 77)}...` : text });
+        };
+
+        const visit = (node) => {
+            const construct = this.constructOf(node);
+            if (construct) {
+                report(node, construct);
+                // Nested findings add nothing once a whole declaration is reported
+                if (ts.isInterfaceDeclaration(node) || ts.isTypeAliasDeclaration(node) || ts.isModuleDeclaration(node) || ts.isEnumDeclaration(node)) {
+                    return;
+                }
+            }
+
+            const specifier = this.moduleSpecifierOf(node);
+            if (specifier && /\.tsx?$/.test(specifier.text)) {
+                report(specifier, `${specifier.text.endsWith('x') ? '.tsx' : '.ts'} import specifier`);
+            }
+
+            ts.forEachChild(node, visit);
+        };
+
+        visit(sourceFile);
+        return findings;
+    }
+
+    constructOf(node) {
+        if (ts.isAsExpression(node)) {
+            return ts.isConstTypeReference(node.type) ? 'as const' : 'as assertion';
+        }
+        if (ts.isSatisfiesExpression(node)) {
+            return 'satisfies';
+        }
+        if (ts.isNonNullExpression(node)) {
+            return 'non-null assertion';
+        }
+        if (ts.isEnumDeclaration(node)) {
+            return 'enum';
+        }
+        if (ts.isModuleDeclaration(node)) {
+            return 'namespace';
+        }
+        if (ts.isInterfaceDeclaration(node)) {
+            return 'interface';
+        }
+        if (ts.isTypeAliasDeclaration(node)) {
+            return 'type alias';
+        }
+        if (ts.isDecorator(node)) {
+            return 'decorator';
+        }
+        if (ts.isParameter(node) && ts.isParameterPropertyDeclaration(node, node.parent)) {
+            return 'parameter property';
+        }
+        if (ts.canHaveModifiers(node) && ts.getModifiers(node)?.some((modifier) => modifier.kind === ts.SyntaxKind.DeclareKeyword)) {
+            return 'declare';
+        }
+        if ((ts.isImportDeclaration(node) && node.importClause?.isTypeOnly) || (ts.isExportDeclaration(node) && node.isTypeOnly)) {
+            return 'type-only import';
+        }
+        if ('type' in node && node.type && ts.isTypeNode(node.type) && !ts.isAsExpression(node) && !ts.isSatisfiesExpression(node)) {
+            return 'type annotation';
+        }
+        if ('typeParameters' in node && node.typeParameters?.length > 0) {
+            return 'type parameters';
+        }
+        if ((ts.isPropertyDeclaration(node) || ts.isMethodDeclaration(node)) && ts.isClassLike(node.parent) && node.questionToken) {
+            return 'optional class member';
+        }
+        return null;
+    }
+
+    // The string literal naming the module of an import, export, import() or import.meta.glob()
+    moduleSpecifierOf(node) {
+        if ((ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) && node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)) {
+            return node.moduleSpecifier;
+        }
+
+        if (ts.isCallExpression(node) && node.arguments.length > 0 && ts.isStringLiteralLike(node.arguments[0])) {
+            const callee = node.expression;
+            const isDynamicImport = callee.kind === ts.SyntaxKind.ImportKeyword;
+            const isGlob =
+                ts.isPropertyAccessExpression(callee) &&
+                callee.name.text === 'glob' &&
+                ts.isMetaProperty(callee.expression) &&
+                callee.expression.keywordToken === ts.SyntaxKind.ImportKeyword;
+            if (isDynamicImport || isGlob) {
+                return node.arguments[0];
+            }
+        }
+
+        return null;
+    }
+}
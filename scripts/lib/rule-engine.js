@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import ts from 'typescript';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILE = 'conversion.config.js';
+const EDIT_TYPES = ['regex', 'json', 'ast', 'transform'];
+
+/**
+ * Loads a conversion config from a `.js` module (its default export) or a
+ * `.json` file, see normalizeConversionConfig.
+ */
+export async function loadConversionConfig(file) {
+    const config = file.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : (await import(pathToFileURL(file).href)).default;
+    return normalizeConversionConfig(config, path.dirname(file), file);
+}
+
+/**
+ * Checks the shape of a conversion config, so a typo in a fork's config fails
+ * the run up front instead of silently skipping a rule. Template paths of
+ * generated files and plugin module paths are resolved against `dir`, the
+ * config file's directory or the project root for a config given as an object.
+ */
+export function normalizeConversionConfig(config, dir, file = 'conversion config') {
+    if (!config || typeof config !== 'object') {
+        throw new Error(`${file} does not export a conversion config`);
+    }
+
+    const normalized = {
+        exclude: { dirs: config.exclude?.dirs ?? [], files: config.exclude?.files ?? [] },
+        rules: config.rules ?? [],
+        generate: (config.generate ?? []).map((entry) => ({
+            ...entry,
+            template: entry.template ? path.resolve(dir, entry.template) : undefined,
+        })),
+        // Module paths of local plugins are relative to the config file too
+        plugins: (config.plugins ?? []).map((entry) => {
+            const [specifier, options] = Array.isArray(entry) ? entry : [entry];
+            const resolved = typeof specifier === 'string' ? path.resolve(dir, specifier) : specifier;
+            return Array.isArray(entry) ? [resolved, options] : resolved;
+        }),
+    };
+
+    for (const rule of normalized.rules) {
+        if (!rule.file) {
+            throw new Error(`${file}: every rule needs a file`);
+        }
+        if (!rule.step && !Array.isArray(rule.edits)) {
+            throw new Error(`${file}: rule for ${rule.file} needs edits or a step`);
+        }
+        for (const edit of rule.edits ?? []) {
+            if (!EDIT_TYPES.includes(edit.type)) {
+                throw new Error(`${file}: unknown edit type "${edit.type}" for ${rule.file}, expected one of: ${EDIT_TYPES.join(', ')}`);
+            }
+        }
+    }
+    for (const entry of normalized.generate) {
+        if (!entry.file || (entry.template === undefined && entry.content === undefined)) {
+            throw new Error(`${file}: generated files need a file and a template or content`);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Applies the edits of a conversion rule to a file's content, in order:
+ *
+ * - `{ type: 'regex', pattern, flags?, replacement }` replaces matches of a
+ *   RegExp (or a pattern string) with a string or a replacer function.
+ * - `{ type: 'json', path, value }` sets a value at a dot-separated path;
+ *   `{ type: 'json', path, pattern, replacement }` rewrites a string value
+ *   and `{ type: 'json', path, delete: true }` removes it. The indentation
+ *   and final newline of the file are kept.
+ * - `{ type: 'ast', visit(node, { ts, sourceFile, remove, replace }) }` walks
+ *   the file's TypeScript syntax tree and edits the nodes it is given.
+ * - `{ type: 'transform', name }` runs a transform the converter provides,
+ *   `{ type: 'transform', transform(content, context) }` a custom one.
+ */
+export class RuleEngine {
+    constructor(transforms = {}) {
+        this.transforms = transforms;
+    }
+
+    apply(content, edits, context) {
+        return edits.reduce((current, edit) => {
+            switch (edit.type) {
+                case 'regex':
+                    return this.applyRegex(current, edit);
+                case 'json':
+                    return this.applyJson(current, edit, context);
+                case 'ast':
+                    return this.applyAst(current, edit, context);
+                default:
+                    return this.applyTransform(current, edit, context);
+            }
+        }, content);
+    }
+
+    applyRegex(content, { pattern, flags = 'g', replacement }) {
+        const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, flags);
+        return content.replace(regex, replacement);
+    }
+
+    applyJson(content, edit, context) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (err) {
+            throw new Error(`${context.file} is not valid JSON: ${err.message}`);
+        }
+
+        const keys = edit.path.split('.');
+        const last = keys.pop();
+        let parent = data;
+        for (const key of keys) {
+            if (parent[key] === undefined && edit.value !== undefined) {
+                parent[key] = {};
+            }
+            parent = parent[key];
+            if (parent === null || typeof parent !== 'object') {
+                return content;
+            }
+        }
+
+        if (edit.delete) {
+            delete parent[last];
+        } else if (edit.value !== undefined) {
+            parent[last] = edit.value;
+        } else if (typeof parent[last] === 'string') {
+            parent[last] = this.applyRegex(parent[last], edit);
+        }
+
+        const indent = content.match(/^([ \t]+)"/m)?.[1] ?? 4;
+        return `${JSON.stringify(data, null, indent)}${content.endsWith('\n') ? '\n' : ''}`;
+    }
+
+    applyAst(content, { visit }, context) {
+        const sourceFile = parseSource(context.file, content);
+        const edits = [];
+        const api = {
+            ts,
+            sourceFile,
+            remove: (node) => edits.push({ ...lineRange(content, node.getStart(sourceFile), node.end), text: '' }),
+            replace: (node, text) => edits.push({ start: node.getStart(sourceFile), end: node.end, text }),
+        };
+
+        const walk = (node) => {
+            visit(node, api);
+            ts.forEachChild(node, walk);
+        };
+        walk(sourceFile);
+
+        return edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((current, { start, end, text }) => current.slice(0, start) + text + current.slice(end), content);
+    }
+
+    applyTransform(content, edit, context) {
+        const transform = edit.transform ?? this.transforms[edit.name];
+        if (typeof transform !== 'function') {
+            throw new Error(`Unknown transform "${edit.name}" for ${context.file}, expected one of: ${Object.keys(this.transforms).join(', ')}`);
+        }
+        return transform(content, context);
+    }
+}
+
+// TypeScript syntax tree of a file, parsed with the script kind of its extension
+export function parseSource(file, code) {
+    return ts.createSourceFile(file, code, ts.ScriptTarget.Latest, true, scriptKind(file));
+}
+
+function scriptKind(file) {
+    if (/\.tsx$/.test(file)) {
+        return ts.ScriptKind.TSX;
+    }
+    if (/\.[cm]?ts$/.test(file)) {
+        return ts.ScriptKind.TS;
+    }
+    return /\.jsx$/.test(file) ? ts.ScriptKind.JSX : ts.ScriptKind.JS;
+}
+
+// A removed node takes its line with it when nothing else is on that line
+function lineRange(content, start, end) {
+    const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+    const lineEnd = content.indexOf('\n', end);
+    const before = content.slice(lineStart, start);
+    const after = content.slice(end, lineEnd === -1 ? content.length : lineEnd);
+
+    if (before.trim() === '' && after.trim() === '') {
+        return { start: lineStart, end: lineEnd === -1 ? content.length : lineEnd + 1 };
+    }
+    return { start, end };
+}
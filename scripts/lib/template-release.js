@@ -0,0 +1,201 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import { glob } from 'glob';
+import process from 'node:process';
+import path from 'path';
+import { MANIFEST_FILE, blobHash } from './conversion-manifest.js';
+
+export const CHANGELOG_FILE = 'CHANGELOG.md';
+export const VERSION_FILE = '.template-version.json';
+
+const CHANGELOG_HEADER = `# Changelog
+
+All notable changes to the Laravel + React JSX starter kit template. Versions follow
+the upstream laravel/react-starter-kit releases; template-only changes bump the patch version.
+`;
+
+/**
+ * Works out the next template release: which output files changed since the
+ * previous template (a directory or a git ref holding it), the version that
+ * follows from the upstream release tag, and the CHANGELOG.md entry that
+ * describes it.
+ *
+ * The version is the upstream tag's version when upstream released something
+ * newer than the previous template, and the previous version with its patch
+ * bumped when only the template changed. Unchanged output keeps the previous
+ * version and changelog.
+ */
+export class TemplateRelease {
+    constructor({ outputDir, previous = null, upstreamTag = null, upstreamSha = null, cwd = process.cwd() }) {
+        this.outputDir = outputDir;
+        this.previous = previous;
+        this.upstreamTag = upstreamTag;
+        this.upstreamSha = upstreamSha;
+        this.cwd = cwd;
+    }
+
+    plan() {
+        const previousFiles = this.previous ? this.previousFiles() : null;
+        const previousMetadata = this.readPrevious(VERSION_FILE);
+        const metadata = previousMetadata ? JSON.parse(previousMetadata) : null;
+        const changes = this.changes(previousFiles);
+        const changed = previousFiles === null || changes.added.length + changes.modified.length + changes.deleted.length > 0;
+        const upstreamVersion = parseVersion(this.upstreamTag);
+        const version = changed || !metadata ? this.nextVersion(metadata?.version ?? null, upstreamVersion) : metadata.version;
+
+        return {
+            version,
+            previousVersion: metadata?.version ?? null,
+            changed,
+            changes,
+            metadata: {
+                version,
+                upstream: { tag: this.upstreamTag, sha: this.upstreamSha },
+                previous: metadata?.version ?? null,
+            },
+        };
+    }
+
+    nextVersion(previousVersion, upstreamVersion) {
+        const previous = parseVersion(previousVersion);
+        if (!previous) {
+            return upstreamVersion ? formatVersion(upstreamVersion) : '0.1.0';
+        }
+        if (upstreamVersion && compareVersions(upstreamVersion, previous) > 0) {
+            return formatVersion(upstreamVersion);
+        }
+        return formatVersion({ ...previous, patch: previous.patch + 1 });
+    }
+
+    // Output files added, modified and deleted compared with the previous template, by git blob hash
+    changes(previousFiles) {
+        const current = this.currentFiles();
+        const changes = { added: [], modified: [], deleted: [] };
+        if (previousFiles === null) {
+            return changes;
+        }
+
+        for (const [file, hash] of current) {
+            if (!previousFiles.has(file)) {
+                changes.added.push(file);
+            } else if (previousFiles.get(file) !== hash) {
+                changes.modified.push(file);
+            }
+        }
+        for (const file of previousFiles.keys()) {
+            if (!current.has(file)) {
+                changes.deleted.push(file);
+            }
+        }
+
+        for (const list of Object.values(changes)) {
+            list.sort();
+        }
+        return changes;
+    }
+
+    currentFiles() {
+        const files = glob.sync('**/*', { cwd: this.outputDir, nodir: true, dot: true, posix: true, ignore: ['.git/**'] });
+        return new Map(
+            files.filter((file) => !isReleaseFile(file)).map((file) => [file, blobHash(fs.readFileSync(path.join(this.outputDir, file)))]),
+        );
+    }
+
+    previousFiles() {
+        if (this.isPreviousDirectory()) {
+            const files = glob.sync('**/*', { cwd: this.previous, nodir: true, dot: true, posix: true, ignore: ['.git/**'] });
+            return new Map(
+                files.filter((file) => !isReleaseFile(file)).map((file) => [file, blobHash(fs.readFileSync(path.join(this.previous, file)))]),
+            );
+        }
+
+        const listing = this.git('ls-tree', '-r', this.previous);
+        return new Map(
+            listing
+                .split('\n')
+                .filter(Boolean)
+                .map((line) => {
+                    const [meta, file] = line.split('\t');
+                    return [file, meta.split(' ')[2]];
+                })
+                .filter(([file]) => !isReleaseFile(file)),
+        );
+    }
+
+    readPrevious(file) {
+        if (!this.previous) {
+            return null;
+        }
+        if (this.isPreviousDirectory()) {
+            const previousFile = path.join(this.previous, file);
+            return fs.existsSync(previousFile) ? fs.readFileSync(previousFile, 'utf8') : null;
+        }
+        try {
+            return this.git('show', `${this.previous}:${file}`);
+        } catch {
+            return null;
+        }
+    }
+
+    isPreviousDirectory() {
+        return fs.existsSync(this.previous) && fs.statSync(this.previous).isDirectory();
+    }
+
+    git(...args) {
+        return execFileSync('git', args, { cwd: this.cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    }
+
+    changelogEntry(plan, date) {
+        const upstream = [this.upstreamTag, this.upstreamSha?.slice(0, 7)].filter(Boolean);
+        const lines = [`## [${plan.version}] - ${date}`, ''];
+
+        lines.push(upstream.length > 0 ? `Generated from laravel/react-starter-kit ${upstream.join(' @ ')}.` : 'Generated from laravel/react-starter-kit.');
+        if (!this.previous) {
+            lines.push('', 'No previous template was given to compare against.');
+        }
+
+        const sections = [
+            ['Added', plan.changes.added],
+            ['Changed', plan.changes.modified],
+            ['Removed', plan.changes.deleted],
+        ];
+        for (const [title, files] of sections) {
+            if (files.length > 0) {
+                lines.push('', `### ${title}`, '', ...files.map((file) => `- \`${file}\``));
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    // New entry on top of the previous template's entries
+    changelog(plan, date) {
+        const previous = this.readPrevious(CHANGELOG_FILE);
+        const firstEntry = previous?.indexOf('\n## ') ?? -1;
+        const previousEntries = firstEntry === -1 ? '' : previous.slice(firstEntry).trim();
+        if (!plan.changed && previous) {
+            return previous;
+        }
+        return [CHANGELOG_HEADER, this.changelogEntry(plan, date), previousEntries ? `${previousEntries}\n` : '']
+            .filter(Boolean)
+            .join('\n');
+    }
+}
+
+// Files describing the output rather than being part of the template's changes
+function isReleaseFile(file) {
+    return file === CHANGELOG_FILE || file === VERSION_FILE || file === MANIFEST_FILE;
+}
+
+function parseVersion(value) {
+    const match = value?.match(/^v?(\d+)\.(\d+)\.(\d+)/);
+    return match ? { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]) } : null;
+}
+
+function formatVersion({ major, minor, patch }) {
+    return `${major}.${minor}.${patch}`;
+}
+
+function compareVersions(a, b) {
+    return a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+}
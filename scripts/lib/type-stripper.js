@@ -0,0 +1,979 @@
+import ts from 'typescript';
+import { JsDocGenerator } from './jsdoc-generator.js';
+
+const STRIPPED_MODIFIERS = new Set([
+    ts.SyntaxKind.PublicKeyword,
+    ts.SyntaxKind.PrivateKeyword,
+    ts.SyntaxKind.ProtectedKeyword,
+    ts.SyntaxKind.ReadonlyKeyword,
+    ts.SyntaxKind.AbstractKeyword,
+    ts.SyntaxKind.OverrideKeyword,
+]);
+
+const PARAMETER_PROPERTY_MODIFIERS = new Set([
+    ts.SyntaxKind.PublicKeyword,
+    ts.SyntaxKind.PrivateKeyword,
+    ts.SyntaxKind.ProtectedKeyword,
+    ts.SyntaxKind.ReadonlyKeyword,
+    ts.SyntaxKind.OverrideKeyword,
+]);
+
+/**
+ * Removes TypeScript-only syntax from a source file while leaving every other
+ * character untouched. Unlike a tsc emit, comments, blank lines and the
+ * original formatting survive, so the output diffs line-for-line against the
+ * TypeScript input.
+ *
+ * Constructs with runtime semantics are rewritten the way they would be
+ * written in JavaScript and listed in `rewrites`: enums become frozen object
+ * literals, namespaces plain module-level declarations and parameter
+ * properties explicit assignments in the constructor. What cannot be rewritten
+ * (e.g. enums with computed members, merged declarations, `import =`) is
+ * reported through `unsupported` so the caller can fall back to a compiler
+ * emit for that file.
+ *
+ * With the `jsdoc` option, top-level interfaces and type aliases are replaced
+ * by `@typedef` comments, typed components receive `@param` tags and the
+ * type-only imports those comments rely on are kept as `@import` tags.
+ *
+ * With a `propTypes` generator, typed components also receive a
+ * `Component.propTypes` block and the file imports `prop-types`.
+ */
+export class TypeStripper {
+    constructor(options = {}) {
+        this.jsdoc = options.jsdoc ?? false;
+        this.propTypes = options.propTypes ?? null;
+        this.jsdocGenerator = new JsDocGenerator();
+    }
+
+    strip(source, fileName) {
+        const scriptKind = fileName.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+        const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true, scriptKind);
+
+        const state = {
+            text: source,
+            sourceFile,
+            edits: [],
+            generatedDocs: [],
+            usedNames: new Set(),
+            localTypeNames: new Set(),
+            imports: [],
+            exports: [],
+            unsupported: [],
+            rewrites: [],
+            // Namespace members whose `export` keyword is dropped by the namespace rewrite
+            unexported: new Set(),
+        };
+
+        for (const statement of sourceFile.statements) {
+            if (this.jsdoc) {
+                this.documentComponent(statement, state);
+            }
+            this.visit(statement, state);
+        }
+
+        this.elideTypeOnlyImports(state);
+        this.importReactForDocs(state);
+        this.elideTypeOnlyExports(state);
+        const propTypeIssues = this.addPropTypes(fileName, state);
+
+        return {
+            code: this.applyEdits(source, state.edits),
+            unsupported: state.unsupported,
+            rewrites: state.rewrites,
+            propTypeIssues,
+        };
+    }
+
+    // AST traversal
+    visit(node, state) {
+        if (ts.isTypeNode(node) && !ts.isExpressionWithTypeArguments(node)) {
+            return;
+        }
+
+        if (this.hasModifier(node, ts.SyntaxKind.DeclareKeyword)) {
+            this.removeStatement(node, state);
+            return;
+        }
+
+        switch (node.kind) {
+            case ts.SyntaxKind.InterfaceDeclaration:
+            case ts.SyntaxKind.TypeAliasDeclaration:
+                state.localTypeNames.add(node.name.text);
+                if (this.jsdoc && ts.isSourceFile(node.parent)) {
+                    this.replaceWithTypedef(node, state);
+                } else {
+                    this.removeStatement(node, state);
+                }
+                return;
+
+            case ts.SyntaxKind.EnumDeclaration:
+                if (!this.rewriteEnum(node, state)) {
+                    this.reportUnsupported(node, 'enum', state);
+                }
+                return;
+
+            case ts.SyntaxKind.ModuleDeclaration:
+                if (this.isTypeOnlyNamespace(node)) {
+                    this.removeStatement(node, state);
+                } else if (this.rewriteNamespace(node, state)) {
+                    node.body.statements.forEach((statement) => this.visit(statement, state));
+                } else {
+                    this.reportUnsupported(node, 'namespace', state);
+                }
+                return;
+
+            case ts.SyntaxKind.ImportEqualsDeclaration:
+                if (node.isTypeOnly) {
+                    this.removeStatement(node, state);
+                } else {
+                    this.reportUnsupported(node, 'import =', state);
+                }
+                return;
+
+            case ts.SyntaxKind.ImportDeclaration:
+                if (node.importClause) {
+                    state.imports.push(node);
+                }
+                return;
+
+            case ts.SyntaxKind.ExportDeclaration:
+                if (node.isTypeOnly) {
+                    this.removeStatement(node, state);
+                    return;
+                }
+                state.exports.push(node);
+                break;
+
+            case ts.SyntaxKind.ExportAssignment:
+                if (node.isExportEquals) {
+                    this.reportUnsupported(node, 'export =', state);
+                    return;
+                }
+                break;
+
+            case ts.SyntaxKind.FunctionDeclaration:
+            case ts.SyntaxKind.MethodDeclaration:
+            case ts.SyntaxKind.Constructor:
+                // Overload signatures have no body and no runtime meaning.
+                if (!node.body && !ts.isObjectLiteralExpression(node.parent)) {
+                    this.removeStatement(node, state);
+                    return;
+                }
+                if (ts.isConstructorDeclaration(node)) {
+                    this.assignParameterProperties(node, state);
+                }
+                break;
+
+            case ts.SyntaxKind.PropertyDeclaration:
+                if (this.hasModifier(node, ts.SyntaxKind.AbstractKeyword)) {
+                    this.removeStatement(node, state);
+                    return;
+                }
+                break;
+
+            case ts.SyntaxKind.IndexSignature:
+                this.removeStatement(node, state);
+                return;
+
+            case ts.SyntaxKind.HeritageClause:
+                if (node.token === ts.SyntaxKind.ImplementsKeyword) {
+                    this.removeRange(this.skipWhitespaceBackward(state.text, node.getStart()), node.end, state);
+                    return;
+                }
+                break;
+
+            case ts.SyntaxKind.Parameter:
+                if (ts.isIdentifier(node.name) && node.name.text === 'this') {
+                    this.removeListElement(node, node.parent.parameters, state);
+                    return;
+                }
+                for (const modifier of node.modifiers ?? []) {
+                    if (PARAMETER_PROPERTY_MODIFIERS.has(modifier.kind)) {
+                        this.removeRange(modifier.getStart(), this.skipWhitespaceForward(state.text, modifier.end), state);
+                    }
+                }
+                break;
+
+            case ts.SyntaxKind.AsExpression:
+            case ts.SyntaxKind.SatisfiesExpression:
+            case ts.SyntaxKind.NonNullExpression:
+                this.removeRange(node.expression.end, node.end, state);
+                this.visit(node.expression, state);
+                return;
+
+            case ts.SyntaxKind.TypeAssertionExpression:
+                this.removeRange(node.getStart(), node.expression.getStart(), state);
+                this.visit(node.expression, state);
+                return;
+
+            case ts.SyntaxKind.Identifier:
+                state.usedNames.add(node.text);
+                return;
+        }
+
+        this.stripModifiers(node, state);
+        this.stripTypeParameters(node, state);
+        this.stripTypeArguments(node, state);
+        this.stripAnnotations(node, state);
+
+        ts.forEachChild(node, (child) => {
+            if (!ts.isTypeParameterDeclaration(child)) {
+                this.visit(child, state);
+            }
+        });
+    }
+
+    stripModifiers(node, state) {
+        if (!node.modifiers || ts.isParameter(node)) {
+            return;
+        }
+
+        for (const modifier of node.modifiers) {
+            if (STRIPPED_MODIFIERS.has(modifier.kind)) {
+                this.removeRange(modifier.getStart(), this.skipWhitespaceForward(state.text, modifier.end), state);
+            }
+        }
+    }
+
+    stripTypeParameters(node, state) {
+        if (node.typeParameters?.length) {
+            this.removeAngleBrackets(node.typeParameters, state);
+        }
+    }
+
+    stripTypeArguments(node, state) {
+        if (node.typeArguments?.length) {
+            this.removeAngleBrackets(node.typeArguments, state);
+        }
+    }
+
+    stripAnnotations(node, state) {
+        if (ts.isParameter(node) || ts.isVariableDeclaration(node) || ts.isPropertyDeclaration(node)) {
+            const marker = node.questionToken ?? node.exclamationToken;
+            if (node.type) {
+                this.removeRange(node.name.end, node.type.end, state);
+            } else if (marker) {
+                this.removeRange(node.name.end, marker.end, state);
+            }
+            return;
+        }
+
+        // `foo?() {}` is an optional method, which JavaScript has no syntax for
+        if (ts.isMethodDeclaration(node) && node.questionToken) {
+            this.removeRange(node.questionToken.getStart(), node.questionToken.end, state);
+        }
+
+        if (ts.isFunctionLike(node) && node.type) {
+            this.removeRange(this.colonStart(state.text, node.type), node.type.end, state);
+        }
+    }
+
+    // Runtime constructs
+    /**
+     * `enum Status { Active, Archived = 'archived' }` becomes
+     * `const Status = Object.freeze({ Active: 0, Archived: 'archived' })`,
+     * edited in place so member comments and formatting survive. Numeric
+     * members lose TypeScript's reverse mapping (`Status[0]`).
+     */
+    rewriteEnum(node, state) {
+        const name = node.name.text;
+        const values = this.enumValues(node);
+        const statements = node.parent.statements ?? [];
+        const merged = statements.filter((statement) => statement !== node && ts.isEnumDeclaration(statement) && statement.name.text === name);
+        if (!values || merged.length > 0) {
+            return false;
+        }
+
+        const exported = this.hasModifier(node, ts.SyntaxKind.ExportKeyword) && !state.unexported.has(node);
+        const openBrace = state.text.indexOf('{', node.name.end);
+        this.replaceRange(node.getStart(), openBrace + 1, `${exported ? 'export ' : ''}const ${name} = Object.freeze({`, state);
+
+        for (const member of node.members) {
+            const value = values.get(member.name.text);
+            const literal = this.formatEnumValue(value);
+            if (!member.initializer) {
+                this.insertText(member.name.end, `: ${literal}`, state);
+            } else if (this.isLiteralInitializer(member.initializer)) {
+                this.replaceRange(member.name.end, member.initializer.getStart(), ': ', state);
+            } else {
+                this.replaceRange(member.name.end, member.initializer.end, `: ${literal}`, state);
+            }
+        }
+
+        this.replaceRange(node.end - 1, node.end, '});', state);
+
+        const numeric = [...values.values()].some((value) => typeof value === 'number');
+        this.reportRewrite(node, 'enum', `${name} → Object.freeze({ ... })${numeric ? ', without reverse mapping' : ''}`, state);
+        return true;
+    }
+
+    // Member values as TypeScript computes them, or null when one is not a constant
+    enumValues(node) {
+        const values = new Map();
+        let next = 0;
+
+        for (const member of node.members) {
+            if (!ts.isIdentifier(member.name) && !ts.isStringLiteral(member.name)) {
+                return null;
+            }
+
+            const value = member.initializer ? this.evaluateEnumMember(member.initializer, values, node.name.text) : next;
+            if (value === undefined) {
+                return null;
+            }
+
+            values.set(member.name.text, value);
+            next = typeof value === 'number' ? value + 1 : undefined;
+        }
+
+        return values;
+    }
+
+    evaluateEnumMember(expression, values, enumName) {
+        if (ts.isNumericLiteral(expression)) {
+            return Number(expression.text);
+        }
+        if (ts.isStringLiteral(expression) || ts.isNoSubstitutionTemplateLiteral(expression)) {
+            return expression.text;
+        }
+        if (ts.isParenthesizedExpression(expression)) {
+            return this.evaluateEnumMember(expression.expression, values, enumName);
+        }
+        if (ts.isIdentifier(expression)) {
+            return values.get(expression.text);
+        }
+        if (ts.isPropertyAccessExpression(expression) && ts.isIdentifier(expression.expression) && expression.expression.text === enumName) {
+            return values.get(expression.name.text);
+        }
+
+        if (ts.isPrefixUnaryExpression(expression)) {
+            const operand = this.evaluateEnumMember(expression.operand, values, enumName);
+            if (typeof operand !== 'number') {
+                return undefined;
+            }
+            switch (expression.operator) {
+                case ts.SyntaxKind.MinusToken:
+                    return -operand;
+                case ts.SyntaxKind.PlusToken:
+                    return operand;
+                case ts.SyntaxKind.TildeToken:
+                    return ~operand;
+            }
+            return undefined;
+        }
+
+        if (ts.isBinaryExpression(expression)) {
+            const left = this.evaluateEnumMember(expression.left, values, enumName);
+            const right = this.evaluateEnumMember(expression.right, values, enumName);
+            if (expression.operatorToken.kind === ts.SyntaxKind.PlusToken && left !== undefined && right !== undefined) {
+                return left + right;
+            }
+            if (typeof left !== 'number' || typeof right !== 'number') {
+                return undefined;
+            }
+            switch (expression.operatorToken.kind) {
+                case ts.SyntaxKind.MinusToken:
+                    return left - right;
+                case ts.SyntaxKind.AsteriskToken:
+                    return left * right;
+                case ts.SyntaxKind.SlashToken:
+                    return left / right;
+                case ts.SyntaxKind.PercentToken:
+                    return left % right;
+                case ts.SyntaxKind.AsteriskAsteriskToken:
+                    return left ** right;
+                case ts.SyntaxKind.LessThanLessThanToken:
+                    return left << right;
+                case ts.SyntaxKind.GreaterThanGreaterThanToken:
+                    return left >> right;
+                case ts.SyntaxKind.GreaterThanGreaterThanGreaterThanToken:
+                    return left >>> right;
+                case ts.SyntaxKind.AmpersandToken:
+                    return left & right;
+                case ts.SyntaxKind.BarToken:
+                    return left | right;
+                case ts.SyntaxKind.CaretToken:
+                    return left ^ right;
+            }
+        }
+
+        return undefined;
+    }
+
+    isLiteralInitializer(expression) {
+        return (
+            ts.isNumericLiteral(expression) ||
+            ts.isStringLiteral(expression) ||
+            ts.isNoSubstitutionTemplateLiteral(expression) ||
+            (ts.isPrefixUnaryExpression(expression) && expression.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(expression.operand))
+        );
+    }
+
+    formatEnumValue(value) {
+        return typeof value === 'number' ? String(value) : `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+    }
+
+    /**
+     * Unwraps a top-level `namespace Utils { ... }` into plain module-level
+     * declarations (kept as exports when the namespace was exported) followed
+     * by `const Utils = { ...members }`, so `Utils.member` keeps working.
+     * Namespaces that merge with other declarations, nest, export mutable
+     * bindings or whose members clash with other top-level names are left to
+     * the compiler.
+     */
+    rewriteNamespace(node, state) {
+        const sourceFile = state.sourceFile;
+        if (node.parent !== sourceFile || !ts.isIdentifier(node.name) || !node.body || !ts.isModuleBlock(node.body)) {
+            return false;
+        }
+
+        const name = node.name.text;
+        const members = [];
+        const declared = [];
+        for (const statement of node.body.statements) {
+            const names = this.declaredNames(statement);
+            if (names === null) {
+                return false;
+            }
+            declared.push(...names);
+
+            if (this.hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+                if (ts.isVariableStatement(statement) && !(statement.declarationList.flags & ts.NodeFlags.Const)) {
+                    return false;
+                }
+                members.push({ statement, names });
+            }
+        }
+
+        const topLevel = sourceFile.statements.filter((statement) => statement !== node).flatMap((statement) => this.declaredNames(statement) ?? []);
+        if (topLevel.includes(name) || declared.some((declaredName) => topLevel.includes(declaredName) || declaredName === name)) {
+            return false;
+        }
+
+        const exported = this.hasModifier(node, ts.SyntaxKind.ExportKeyword);
+        const openBrace = state.text.indexOf('{', node.name.end);
+        const closeBrace = node.body.end - 1;
+        const bodyIndent = node.body.statements.length > 0 ? this.indentAt(state.text, node.body.statements[0].getStart()) : '';
+        const dedent = bodyIndent.slice(this.indentAt(state.text, node.getStart()).length);
+
+        this.removeLineOrRange(node.getStart(), this.skipWhitespaceForward(state.text, openBrace + 1), state);
+        this.dedentLines(this.lineEnd(state.text, openBrace) + 1, closeBrace, dedent, state);
+
+        for (const { statement } of members) {
+            if (exported) {
+                continue;
+            }
+            state.unexported.add(statement);
+            if (!ts.isEnumDeclaration(statement)) {
+                const exportKeyword = ts.getModifiers(statement).find((modifier) => modifier.kind === ts.SyntaxKind.ExportKeyword);
+                this.removeRange(exportKeyword.getStart(), this.skipWhitespaceForward(state.text, exportKeyword.end), state);
+            }
+        }
+
+        const memberNames = members.flatMap((member) => member.names);
+        const object = memberNames.length > 0 ? `{ ${memberNames.join(', ')} }` : '{}';
+        // The closing brace becomes the namespace object
+        this.replaceRange(closeBrace, node.end, `${exported ? 'export ' : ''}const ${name} = ${object};`, state);
+        this.reportRewrite(node, 'namespace', `${name} → module-level declarations and const ${name} = ${object}`, state);
+        return true;
+    }
+
+    // Runtime names a namespace member declares, or null for members that cannot be unwrapped
+    declaredNames(statement) {
+        if (ts.isVariableStatement(statement)) {
+            const declarations = statement.declarationList.declarations;
+            return declarations.every((declaration) => ts.isIdentifier(declaration.name))
+                ? declarations.map((declaration) => declaration.name.text)
+                : null;
+        }
+        if (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement) || ts.isEnumDeclaration(statement)) {
+            return statement.name ? [statement.name.text] : null;
+        }
+        if (ts.isModuleDeclaration(statement)) {
+            return this.isTypeOnlyNamespace(statement) ? [] : ts.isIdentifier(statement.name) ? [statement.name.text] : null;
+        }
+        if (ts.isImportDeclaration(statement)) {
+            const clause = statement.importClause;
+            const bindings = clause?.namedBindings;
+            return [
+                ...(clause?.name ? [clause.name.text] : []),
+                ...(bindings && ts.isNamespaceImport(bindings) ? [bindings.name.text] : []),
+                ...(bindings && ts.isNamedImports(bindings) ? bindings.elements.map((element) => element.name.text) : []),
+            ];
+        }
+        if (ts.isExportDeclaration(statement) || ts.isExportAssignment(statement) || ts.isImportEqualsDeclaration(statement)) {
+            return null;
+        }
+        return [];
+    }
+
+    /**
+     * `constructor(private api: Api) {}` becomes `constructor(api) { this.api = api; }`,
+     * with the assignments placed after `super()` when there is one.
+     */
+    assignParameterProperties(node, state) {
+        const properties = node.parameters.filter(
+            (parameter) => ts.isIdentifier(parameter.name) && parameter.modifiers?.some((modifier) => PARAMETER_PROPERTY_MODIFIERS.has(modifier.kind)),
+        );
+        if (properties.length === 0) {
+            return;
+        }
+
+        const { text } = state;
+        const statements = node.body.statements;
+        const constructorIndent = this.indentAt(text, node.getStart());
+        const indent = statements.length > 0 ? this.indentAt(text, statements[0].getStart()) : `${constructorIndent}    `;
+        const assignments = properties.map((parameter) => `${indent}this.${parameter.name.text} = ${parameter.name.text};`).join('\n');
+        const superCall = statements.find(
+            (statement) =>
+                ts.isExpressionStatement(statement) &&
+                ts.isCallExpression(statement.expression) &&
+                statement.expression.expression.kind === ts.SyntaxKind.SuperKeyword,
+        );
+        const bodyStart = node.body.getStart() + 1;
+        const bodyEnd = node.body.end - 1;
+
+        if (superCall) {
+            this.insertText(superCall.end, `\n${assignments}`, state);
+        } else if (text.slice(bodyStart, bodyEnd).trim() === '') {
+            this.replaceRange(bodyStart, bodyEnd, `\n${assignments}\n${constructorIndent}`, state);
+        } else {
+            this.insertText(bodyStart, `\n${assignments}`, state);
+        }
+
+        for (const parameter of properties) {
+            this.reportRewrite(parameter, 'parameter property', `this.${parameter.name.text} = ${parameter.name.text}`, state);
+        }
+    }
+
+    reportRewrite(node, construct, detail, state) {
+        const { line } = state.sourceFile.getLineAndCharacterOfPosition(node.getStart());
+        state.rewrites.push({ construct, line: line + 1, detail });
+    }
+
+    // JSDoc generation
+    replaceWithTypedef(node, state) {
+        const docs = ts.getJSDocCommentsAndTags(node).filter((doc) => ts.isJSDoc(doc));
+        const start = docs.length > 0 ? docs[0].getStart() : node.getStart();
+        const typedef = this.jsdocGenerator.typedef(node, state.sourceFile, this.indentAt(state.text, start));
+
+        state.generatedDocs.push(typedef);
+        this.replaceRange(start, node.end, typedef, state);
+    }
+
+    documentComponent(statement, state) {
+        const fn = this.componentFunction(statement);
+        if (!fn || ts.getJSDocCommentsAndTags(statement).length > 0) {
+            return;
+        }
+
+        const start = statement.getStart();
+        const params = this.jsdocGenerator.params(fn, state.sourceFile, this.indentAt(state.text, start));
+        if (params) {
+            state.generatedDocs.push(params);
+            this.insertText(start, `${params}\n${this.indentAt(state.text, start)}`, state);
+        }
+    }
+
+    addPropTypes(fileName, state) {
+        if (!this.propTypes) {
+            return [];
+        }
+
+        const { blocks, issues } = this.propTypes.generate(fileName);
+        if (blocks.length === 0) {
+            return issues;
+        }
+
+        for (const block of blocks) {
+            this.insertText(block.position, block.code, state);
+        }
+
+        const firstImport = state.sourceFile.statements.find((statement) => ts.isImportDeclaration(statement));
+        const position = firstImport ? firstImport.getStart() : 0;
+        this.insertText(position, `${this.propTypes.importStatement(fileName)}\n`, state);
+
+        return issues;
+    }
+
+    /**
+     * Finds a React component defined by a statement: a function declaration
+     * or a single `const` arrow/function expression with a capitalized name.
+     */
+    componentFunction(statement) {
+        if (ts.isFunctionDeclaration(statement) && statement.body && /^[A-Z]/.test(statement.name?.text ?? '')) {
+            return statement;
+        }
+
+        if (ts.isVariableStatement(statement) && statement.declarationList.declarations.length === 1) {
+            const [declaration] = statement.declarationList.declarations;
+            const initializer = declaration.initializer;
+            if (
+                ts.isIdentifier(declaration.name) &&
+                /^[A-Z]/.test(declaration.name.text) &&
+                initializer &&
+                (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer))
+            ) {
+                return initializer;
+            }
+        }
+
+        return null;
+    }
+
+    referencedByDocs(name, state) {
+        const pattern = new RegExp(`(^|[^\\w$.])${name.replace(/\$/g, '\\$')}(?![\\w$])`);
+        return state.generatedDocs.some((doc) => pattern.test(doc));
+    }
+
+    isTypeOnlyNamespace(node) {
+        let body = node.body;
+        while (body && ts.isModuleDeclaration(body)) {
+            body = body.body;
+        }
+
+        return (
+            !body ||
+            body.statements.every(
+                (statement) =>
+                    ts.isInterfaceDeclaration(statement) ||
+                    ts.isTypeAliasDeclaration(statement) ||
+                    (ts.isModuleDeclaration(statement) && this.isTypeOnlyNamespace(statement)),
+            )
+        );
+    }
+
+    hasModifier(node, kind) {
+        return ts.canHaveModifiers(node) && (ts.getModifiers(node) ?? []).some((modifier) => modifier.kind === kind);
+    }
+
+    reportUnsupported(node, construct, state) {
+        const { line } = state.sourceFile.getLineAndCharacterOfPosition(node.getStart());
+        state.unsupported.push({ construct, line: line + 1 });
+    }
+
+    // Import and export elision
+    elideTypeOnlyImports(state) {
+        for (const declaration of state.imports) {
+            const clause = declaration.importClause;
+            const bindings = clause.namedBindings;
+            const keepDefault = clause.name && state.usedNames.has(clause.name.text);
+
+            if (clause.isTypeOnly) {
+                this.removeImport(declaration, state);
+                continue;
+            }
+
+            if (bindings && ts.isNamespaceImport(bindings)) {
+                const keepNamespace = state.usedNames.has(bindings.name.text);
+                if (!keepDefault && !keepNamespace) {
+                    this.removeImport(declaration, state);
+                } else if (!keepNamespace) {
+                    this.removeRange(clause.name.end, bindings.end, state);
+                    this.keepImportTag(declaration, state);
+                } else if (clause.name && !keepDefault) {
+                    this.removeRange(clause.name.getStart(), bindings.getStart(), state);
+                    this.keepImportTag(declaration, state);
+                }
+                continue;
+            }
+
+            const elements = bindings?.elements ?? [];
+            const removed = elements.filter(
+                (element) => element.isTypeOnly || !state.usedNames.has(element.name.text),
+            );
+            const keepNamed = elements.length === 0 ? Boolean(bindings) : removed.length < elements.length;
+
+            if (!keepDefault && !keepNamed) {
+                this.removeImport(declaration, state);
+                continue;
+            }
+
+            if (clause.name && !keepDefault) {
+                this.removeRange(clause.name.getStart(), bindings.getStart(), state);
+            }
+
+            if (bindings && !keepNamed) {
+                this.removeRange(clause.name.end, bindings.end, state);
+            } else {
+                for (const element of removed) {
+                    this.removeListElement(element, elements, state);
+                }
+            }
+
+            this.keepImportTag(declaration, state);
+        }
+    }
+
+    /**
+     * Removes an import whose bindings are all elided. When generated JSDoc
+     * still refers to some of them, the statement becomes an `@import` tag.
+     */
+    removeImport(declaration, state) {
+        const tag = this.importTag(declaration, state);
+        if (tag) {
+            this.replaceRange(declaration.getStart(), declaration.end, tag, state);
+        } else {
+            this.removeStatement(declaration, state);
+        }
+    }
+
+    /**
+     * Adds an `@import` tag below a partially elided import for the removed
+     * bindings that generated JSDoc still refers to.
+     */
+    keepImportTag(declaration, state) {
+        const tag = this.importTag(declaration, state);
+        if (tag) {
+            this.insertText(declaration.end, `\n${tag}`, state);
+        }
+    }
+
+    importTag(declaration, state) {
+        if (!this.jsdoc) {
+            return null;
+        }
+
+        const elided = this.jsdocGenerator
+            .importBindings(declaration)
+            .filter((binding) => !state.usedNames.has(binding.name) || this.isTypeOnlyBinding(declaration, binding))
+            .filter((binding) => this.referencedByDocs(binding.name, state));
+
+        return elided.length > 0 ? this.jsdocGenerator.importTag(declaration, elided, state.sourceFile) : null;
+    }
+
+    /**
+     * TypeScript resolves `React.ComponentProps` through the global namespace
+     * of @types/react, JSDoc only through an import, so generated JSDoc that
+     * refers to `React` in a file that does not import it gets an `@import`.
+     */
+    importReactForDocs(state) {
+        if (!this.jsdoc || !this.referencedByDocs('React', state)) {
+            return;
+        }
+
+        const imports = state.sourceFile.statements.filter((statement) => ts.isImportDeclaration(statement));
+        const bound = imports.some((declaration) => declaration.importClause && this.jsdocGenerator.importBindings(declaration).some((binding) => binding.name === 'React'));
+        if (bound) {
+            return;
+        }
+
+        const quote = imports[0]?.moduleSpecifier.getText(state.sourceFile)[0] ?? "'";
+        const position = imports[0]?.getStart() ?? 0;
+        // Ahead of the JSDoc generated at the same position when the file starts with a component
+        state.edits.unshift([position, position, `/** @import * as React from ${quote}react${quote} */\n`]);
+    }
+
+    isTypeOnlyBinding(declaration, binding) {
+        const bindings = declaration.importClause.namedBindings;
+        if (declaration.importClause.isTypeOnly) {
+            return true;
+        }
+        if (binding.kind !== 'named' || !bindings || !ts.isNamedImports(bindings)) {
+            return false;
+        }
+        return bindings.elements.some((element) => element.name.text === binding.name && element.isTypeOnly);
+    }
+
+    elideTypeOnlyExports(state) {
+        for (const declaration of state.exports) {
+            const clause = declaration.exportClause;
+            if (!clause || !ts.isNamedExports(clause) || clause.elements.length === 0) {
+                continue;
+            }
+
+            const removed = clause.elements.filter(
+                (element) =>
+                    element.isTypeOnly ||
+                    (!declaration.moduleSpecifier &&
+                        state.localTypeNames.has((element.propertyName ?? element.name).text)),
+            );
+
+            if (removed.length === clause.elements.length) {
+                this.removeStatement(declaration, state);
+            } else {
+                for (const element of removed) {
+                    this.removeListElement(element, clause.elements, state);
+                }
+            }
+        }
+    }
+
+    // Edit ranges
+    removeRange(start, end, state) {
+        if (end > start) {
+            state.edits.push([start, end, '']);
+        }
+    }
+
+    replaceRange(start, end, text, state) {
+        state.edits.push([start, end, text]);
+    }
+
+    insertText(position, text, state) {
+        state.edits.push([position, position, text]);
+    }
+
+    removeAngleBrackets(list, state) {
+        const start = state.text.lastIndexOf('<', list.pos);
+        const end = state.text.indexOf('>', this.skipTrivia(state.text, list.end)) + 1;
+        this.removeRange(start, end, state);
+    }
+
+    /**
+     * Removes a whole statement or class member. When it sits on lines of its
+     * own, those lines go with it, and a blank line that would otherwise be
+     * doubled up is collapsed.
+     */
+    removeStatement(node, state) {
+        const { text } = state;
+        let start = node.getStart();
+        let end = node.end;
+
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = this.lineEnd(text, end);
+
+        if (text.slice(lineStart, start).trim() === '' && text.slice(end, lineEnd).trim() === '') {
+            start = lineStart;
+            end = Math.min(lineEnd + 1, text.length);
+
+            const previousLineStart = text.lastIndexOf('\n', Math.max(lineStart - 2, 0)) + 1;
+            const previousBlank = lineStart === 0 || text.slice(previousLineStart, lineStart).trim() === '';
+            const nextLineEnd = this.lineEnd(text, end);
+
+            if (previousBlank && end < text.length && text.slice(end, nextLineEnd).trim() === '') {
+                end = Math.min(nextLineEnd + 1, text.length);
+            }
+        }
+
+        this.removeRange(start, end, state);
+    }
+
+    // Removes a range together with its line when nothing else is on it
+    removeLineOrRange(start, end, state) {
+        const { text } = state;
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const lineEnd = this.lineEnd(text, end);
+
+        if (text.slice(lineStart, start).trim() === '' && text.slice(end, lineEnd).trim() === '') {
+            this.removeRange(lineStart, Math.min(lineEnd + 1, text.length), state);
+        } else {
+            this.removeRange(start, end, state);
+        }
+    }
+
+    // Removes one indentation level from the lines in a range, leaving multi-line template literals alone
+    dedentLines(start, end, indent, state) {
+        if (indent === '') {
+            return;
+        }
+
+        const templates = [];
+        const collect = (node) => {
+            if (ts.isTemplateExpression(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+                templates.push([node.getStart(), node.end]);
+            }
+            ts.forEachChild(node, collect);
+        };
+        collect(state.sourceFile);
+
+        for (let position = start; position < end; position = this.lineEnd(state.text, position) + 1) {
+            const insideTemplate = templates.some(([templateStart, templateEnd]) => position > templateStart && position < templateEnd);
+            if (!insideTemplate && state.text.startsWith(indent, position)) {
+                this.removeRange(position, position + indent.length, state);
+            }
+        }
+    }
+
+    removeListElement(element, elements, state) {
+        const { text } = state;
+        const index = elements.indexOf(element);
+        const start = element.getStart();
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        const afterComma = this.skipComma(text, element.end);
+        const lineEnd = this.lineEnd(text, afterComma);
+
+        if (text.slice(lineStart, start).trim() === '' && text.slice(afterComma, lineEnd).trim() === '') {
+            this.removeRange(lineStart, lineEnd + 1, state);
+        } else if (index < elements.length - 1) {
+            this.removeRange(start, elements[index + 1].getStart(), state);
+        } else if (index > 0) {
+            this.removeRange(elements[index - 1].end, element.end, state);
+        } else {
+            this.removeRange(start, afterComma, state);
+        }
+    }
+
+    /**
+     * Applies edits in source order. Insertions go before removals starting at
+     * the same offset; edits that fall inside an already removed range are
+     * dropped.
+     */
+    applyEdits(text, edits) {
+        const sorted = [...edits].sort((a, b) => a[0] - b[0] || a[1] - a[0] - (b[1] - b[0]));
+        let result = '';
+        let cursor = 0;
+
+        for (const [start, end, replacement] of sorted) {
+            if (start < cursor && (end <= cursor || start === end)) {
+                continue;
+            }
+            result += text.slice(cursor, Math.max(start, cursor)) + replacement;
+            cursor = Math.max(cursor, end);
+        }
+
+        return result + text.slice(cursor);
+    }
+
+    // Text scanning helpers
+    colonStart(text, typeNode) {
+        const colon = text.lastIndexOf(':', typeNode.getStart());
+        return this.skipWhitespaceBackward(text, colon);
+    }
+
+    indentAt(text, position) {
+        const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+        return text.slice(lineStart, position).match(/^[ \t]*/)[0];
+    }
+
+    lineEnd(text, position) {
+        const index = text.indexOf('\n', position);
+        return index === -1 ? text.length : index;
+    }
+
+    skipComma(text, position) {
+        const next = this.skipTrivia(text, position);
+        return text[next] === ',' ? next + 1 : position;
+    }
+
+    skipWhitespaceForward(text, position) {
+        while (position < text.length && /[ \t]/.test(text[position])) {
+            position++;
+        }
+        return position;
+    }
+
+    skipWhitespaceBackward(text, position) {
+        while (position > 0 && /[ \t]/.test(text[position - 1])) {
+            position--;
+        }
+        return position;
+    }
+
+    skipTrivia(text, position) {
+        while (position < text.length) {
+            if (/\s/.test(text[position])) {
+                position++;
+            } else if (text.startsWith('//', position)) {
+                position = this.lineEnd(text, position);
+            } else if (text.startsWith('/*', position)) {
+                const close = text.indexOf('*/', position + 2);
+                position = close === -1 ? text.length : close + 2;
+            } else {
+                break;
+            }
+        }
+        return position;
+    }
+}
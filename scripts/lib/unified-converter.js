@@ -0,0 +1,2124 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import { glob, hasMagic } from 'glob';
+import os from 'node:os';
+import process from 'node:process';
+import path from 'path';
+import ts from 'typescript';
+import { fileURLToPath } from 'url';
+import { BladeViteRewriter } from './blade-rewriter.js';
+import { ConversionCache } from './conversion-cache.js';
+import { ConversionManifest, MANIFEST_FILE } from './conversion-manifest.js';
+import { ConversionReport } from './conversion-report.js';
+import { DEFAULT_DEPENDENCY_RULES, DependencyPruner } from './dependency-pruner.js';
+import { JsDocGenerator } from './jsdoc-generator.js';
+import { OutputFormatter, PRETTIER_FILES } from './output-formatter.js';
+import { PropTypesGenerator } from './prop-types-generator.js';
+import { PluginHost } from './plugin-host.js';
+import { ReferenceRewriter } from './reference-rewriter.js';
+import { ResidualTypeScriptDetector } from './residual-ts-detector.js';
+import { CONFIG_FILE, RuleEngine, loadConversionConfig, normalizeConversionConfig } from './rule-engine.js';
+import { CHANGELOG_FILE, TemplateRelease, VERSION_FILE } from './template-release.js';
+import { TypeStripper } from './type-stripper.js';
+import { createUnifiedDiff } from './unified-diff.js';
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const PHASES = ['meta', 'js', 'config'];
+const OPERATIONS = ['copied', 'compiled', 'renamed', 'rewritten', 'generated', 'deleted'];
+const WATCH_DEBOUNCE_MS = 150;
+// tsconfig.json compiler options carried over to the template's jsconfig.json
+const JSCONFIG_OPTIONS = [
+    'target',
+    'lib',
+    'module',
+    'moduleResolution',
+    'jsx',
+    'jsxImportSource',
+    'baseUrl',
+    'paths',
+    'types',
+    'typeRoots',
+    'resolveJsonModule',
+    'esModuleInterop',
+    'allowSyntheticDefaultImports',
+    'forceConsistentCasingInFileNames',
+    'skipLibCheck',
+];
+// Directories laravel/wayfinder generates its route and action modules into, under resources/js
+const WAYFINDER_DIRS = ['actions', 'routes', 'wayfinder'];
+const DEFAULT_ALLOWLIST = 'scripts/residual-ts-allowlist.json';
+// Rules the converter falls back to when the project has no conversion.config.js
+const DEFAULT_CONFIG_FILE = path.join(SCRIPTS_DIR, CONFIG_FILE);
+
+export class UnifiedConverter {
+    /**
+     * @param {object} [options]
+     * @param {'strip'|'tsc'} [options.mode] How TypeScript is turned into JavaScript: 'strip' removes only
+     *   type-level syntax and keeps the source byte-for-byte otherwise, 'tsc' emits through the compiler.
+     * @param {boolean} [options.jsdoc] Keep type information as JSDoc (`@typedef`, `@param`, `@import`)
+     *   and turn declaration files into typedef modules. Only applies to the 'strip' mode.
+     * @param {boolean} [options.propTypes] Generate `Component.propTypes` from the TypeScript props of each
+     *   component and add `prop-types` to the output package.json. Only applies to the 'strip' mode.
+     * @param {boolean} [options.checkJs] Value of `checkJs` in the generated jsconfig.json.
+     * @param {boolean} [options.format] Format the converted modules and rewritten config files with the
+     *   project's Prettier config and plugins. Defaults to true.
+     * @param {object} [options.dependencyRules] Overrides for the package.json pruning rules
+     *   (`remove`, `commands`, `add`), see DEFAULT_DEPENDENCY_RULES.
+     * @param {string} [options.root] Project root every other path is resolved against; defaults to the
+     *   working directory.
+     * @param {string} [options.source] Directory holding the TypeScript sources, relative to the project root.
+     * @param {string} [options.out] Directory the template is written to.
+     * @param {string|object} [options.rules] Conversion config with the copy excludes, file rules, generated
+     *   files and plugins, as a file or an object; defaults to conversion.config.js in the project root,
+     *   or scripts/conversion.config.js.
+     * @param {Array} [options.plugins] Plugins added after the ones the conversion config lists.
+     * @param {boolean} [options.clean] Remove the output directory first when the run cannot be incremental.
+     *   Defaults to true for full runs only.
+     * @param {boolean} [options.force] Ignore the conversion cache and convert everything again.
+     * @param {string} [options.previous] The previously released template, as a directory or a git ref,
+     *   to derive the CHANGELOG.md entry and version from.
+     * @param {string} [options.upstreamTag] Upstream release tag; defaults to the latest tag reachable from HEAD.
+     * @param {string} [options.report] JSON file the residual TypeScript report is written to.
+     * @param {string} [options.allowlist] JSON file listing the compiler diagnostics and residual
+     *   TypeScript constructs that do not fail the run, see ConversionReport.
+     * @param {string[]} [options.only] Restrict the run to some of the 'js', 'config' and 'meta' phases.
+     * @param {boolean} [options.dryRun] Print the plan without touching the output directory.
+     * @param {boolean} [options.json] Print the dry-run plan as JSON instead of text.
+     * @param {boolean} [options.verbose] Print per-file details.
+     * @param {boolean} [options.quiet] Only print errors.
+     */
+    constructor(options = {}) {
+        this.root = path.resolve(options.root ?? process.cwd());
+        this.mode = options.mode ?? 'strip';
+        this.jsdoc = options.jsdoc ?? true;
+        this.propTypes = options.propTypes ?? false;
+        this.checkJs = options.checkJs ?? false;
+        this.format = options.format ?? true;
+        this.dependencyRuleOverrides = options.dependencyRules ?? {};
+        this.phases = new Set(options.only ?? PHASES);
+        this.clean = options.clean ?? !options.only;
+        this.force = options.force ?? false;
+        this.previous = options.previous ?? null;
+        this.upstreamTag = options.upstreamTag ?? null;
+        this.reportFile = path.resolve(this.root, options.report ?? 'conversion-report.json');
+        this.allowlistFile = path.resolve(this.root, options.allowlist ?? DEFAULT_ALLOWLIST);
+        this.report = new ConversionReport();
+        this.dryRun = options.dryRun ?? false;
+        this.json = options.json ?? false;
+        this.verbose = options.verbose ?? false;
+        this.quiet = (options.quiet ?? false) || this.json;
+        this.warnings = [];
+        this.errors = [];
+        this.operations = [];
+        this.stats = null;
+        this.plan = null;
+        this.manifest = null;
+        // Intermediate js/ output file → cache key and inputs of the source it came from
+        this.convertedFiles = new Map();
+        this.sourceDir = path.resolve(this.root, options.source ?? 'resources/js');
+        this.destinationDir = path.resolve(this.root, options.out ?? 'output');
+        if (options.rules && typeof options.rules === 'object') {
+            this.configObject = options.rules;
+            this.configFile = null;
+        } else {
+            this.configObject = null;
+            this.configFile = options.rules
+                ? path.resolve(this.root, options.rules)
+                : [path.resolve(this.root, CONFIG_FILE), DEFAULT_CONFIG_FILE].find((file) => fs.existsSync(file));
+        }
+        this.extraPlugins = options.plugins ?? [];
+        this.config = null;
+        this.ruleEngine = null;
+        this.plugins = new PluginHost([], this.root);
+        this.setOutputDir(this.destinationDir);
+        this.tsconfigPath = path.join(this.root, 'tsconfig.temp.json');
+        this.cacheFile = path.join(
+            this.root,
+            'node_modules/.cache/jsx-conversion',
+            `${ConversionCache.hashText(this.destinationDir).slice(0, 12)}.json`,
+        );
+        this.cache = null;
+    }
+
+    // Output location; a dry run points this at a staging directory
+    setOutputDir(dir) {
+        this.outputDir = dir;
+        this.jsOutputDir = path.join(dir, 'js');
+    }
+
+    // Logging
+    log(...args) {
+        if (!this.quiet) {
+            console.log(...args);
+        }
+    }
+
+    debug(...args) {
+        if (this.verbose) {
+            console.log(...args);
+        }
+    }
+
+    error(...args) {
+        this.errors.push(args.join(' ').trim().replace(/^❌\s*/, ''));
+        console.error(...args);
+    }
+
+    // Operation tracking
+    /**
+     * Records what happened to an output file so a dry run can report it.
+     * Files compiled into the intermediate js/ directory are reported under
+     * their final resources/js location.
+     */
+    recordOperation(action, target, source = null, details = {}) {
+        this.operations.push({ action, target: this.finalOutputPath(target), source, ...details });
+    }
+
+    finalOutputPath(file) {
+        const relativeToJs = path.relative(this.jsOutputDir, file);
+        if (!relativeToJs.startsWith('..') && !path.isAbsolute(relativeToJs)) {
+            return path.join(this.outputDir, 'resources/js', relativeToJs);
+        }
+        return file;
+    }
+
+    /**
+     * Writes a rewritten copy of a project file to the output and records the
+     * change as a unified diff against the original.
+     */
+    writeRewrittenFile(sourceFile, outputFile, content) {
+        const original = fs.readFileSync(sourceFile, 'utf8');
+        const diff = createUnifiedDiff(
+            original,
+            content,
+            `a/${path.relative(this.root, sourceFile)}`,
+            `b/${path.relative(this.outputDir, outputFile)}`,
+        );
+
+        fs.writeFileSync(outputFile, content);
+        this.recordOperation('rewritten', outputFile, sourceFile, { diff });
+    }
+
+    removeOutputPath(target) {
+        fs.rmSync(target, { recursive: true, force: true });
+        this.recordOperation('deleted', target);
+    }
+
+    // Conversion cache
+    /**
+     * The cache is bound to the converter sources and the options that change
+     * the output, so editing a conversion rule invalidates it automatically.
+     */
+    fingerprint() {
+        const converterFiles = [
+            ...new Set([
+                fileURLToPath(import.meta.url),
+                ...glob.sync(`${SCRIPTS_DIR}/lib/*.js`),
+                DEFAULT_CONFIG_FILE,
+                ...(this.configFile ? [this.configFile] : []),
+                ...this.plugins.files,
+                ...(this.format ? PRETTIER_FILES.map((file) => path.join(this.root, file)).filter((file) => fs.existsSync(file)) : []),
+            ]),
+        ].sort();
+        const sources = converterFiles.map((file) => ConversionCache.hashText(fs.readFileSync(file)));
+        if (this.format) {
+            const packageFile = path.join(this.root, 'package.json');
+            const packageJson = fs.existsSync(packageFile) ? JSON.parse(fs.readFileSync(packageFile, 'utf8')) : {};
+            sources.push(ConversionCache.hashText(JSON.stringify(packageJson.prettier ?? null)));
+        }
+        if (this.configObject) {
+            sources.push(ConversionCache.hashText(JSON.stringify(this.configObject, (key, value) => (value instanceof RegExp || typeof value === 'function' ? String(value) : value))));
+        }
+        const options = {
+            mode: this.mode,
+            jsdoc: this.jsdoc,
+            propTypes: this.propTypes,
+            checkJs: this.checkJs,
+            format: this.format,
+            dependencyRules: this.dependencyRules(),
+            source: path.relative(this.root, this.sourceDir),
+        };
+        return ConversionCache.hashText(JSON.stringify({ sources, options }));
+    }
+
+    loadCache() {
+        this.cache = this.force
+            ? new ConversionCache(this.cacheFile, this.fingerprint(), {}, this.root)
+            : ConversionCache.load(this.cacheFile, this.fingerprint(), this.root);
+        if (this.cache.reused) {
+            this.log('♻️  Incremental run: unchanged files are skipped (use --force to convert everything)');
+        }
+    }
+
+    get incremental() {
+        return Boolean(this.cache?.reused);
+    }
+
+    outputKey(file) {
+        return path.relative(this.outputDir, this.finalOutputPath(file));
+    }
+
+    /**
+     * Runs a step unless the cache says its inputs and outputs are unchanged.
+     * The outputs are whatever the step records as written or deleted.
+     */
+    async runCached(key, phase, inputFiles, step) {
+        const inputs = this.cache.inputsOf(inputFiles);
+        if (this.cache.isFresh(key, inputs, this.outputDir)) {
+            this.debug(`   ⏭️  Unchanged: ${key}`);
+            return true;
+        }
+
+        const firstOperation = this.operations.length;
+        const success = await step();
+        if (success) {
+            const outputs = this.operations.slice(firstOperation).map((operation) => this.outputKey(operation.target));
+            this.updateCacheEntry(key, phase, inputs, [...new Set(outputs)]);
+        }
+        return success;
+    }
+
+    updateCacheEntry(key, phase, inputs, outputs, extra = {}) {
+        for (const output of this.cache.set(key, phase, inputs, outputs, extra)) {
+            this.removeOutputPath(path.join(this.outputDir, output));
+        }
+    }
+
+    // Removes what the previous run produced from sources that no longer exist
+    pruneStaleOutputs(phase) {
+        const stale = this.cache.stale(new Set([phase]));
+        const staleKeys = new Set(stale.map(([key]) => key));
+        const claimed = new Set(
+            Object.entries(this.cache.entries)
+                .filter(([key]) => !staleKeys.has(key))
+                .flatMap(([, entry]) => Object.keys(entry.outputs)),
+        );
+
+        for (const [key, entry] of stale) {
+            for (const [output, hash] of Object.entries(entry.outputs)) {
+                const file = path.join(this.outputDir, output);
+                if (hash !== null && !claimed.has(output) && fs.existsSync(file)) {
+                    this.removeOutputPath(file);
+                    this.log(`   🗑️  Removed: ${output} (source no longer exists)`);
+                }
+            }
+            this.cache.delete(key);
+        }
+    }
+
+    // Common utilities
+    ensureDirectory(dir) {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    checkDependencies() {
+        try {
+            execSync('npx -p typescript tsc --version', { stdio: 'pipe', cwd: this.root });
+            this.log('✅ TypeScript compiler is available');
+            return true;
+        } catch {
+            this.error('❌ TypeScript compiler not found');
+            return false;
+        }
+    }
+
+    // TypeScript compilation setup
+    createTempTsConfig() {
+        const config = {
+            compilerOptions: {
+                jsx: 'preserve',
+                target: 'ES2020',
+                lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+                allowJs: true,
+                skipLibCheck: true,
+                esModuleInterop: true,
+                allowSyntheticDefaultImports: true,
+                strict: false,
+                forceConsistentCasingInFileNames: false,
+                noEmit: false,
+                module: 'ESNext',
+                moduleResolution: 'node',
+                resolveJsonModule: true,
+                isolatedModules: true,
+                noEmitOnError: false,
+                declaration: false,
+                sourceMap: false,
+                baseUrl: '.',
+                paths: {
+                    '@/*': [`./${path.relative(this.root, this.sourceDir).split(path.sep).join('/')}/*`],
+                },
+                outDir: this.jsOutputDir,
+                rootDir: this.sourceDir,
+                noImplicitAny: false,
+                noImplicitReturns: false,
+                noImplicitThis: false,
+                noUnusedLocals: false,
+                noUnusedParameters: false,
+            },
+            include: [this.sourceDir],
+            exclude: ['node_modules', 'output'],
+        };
+
+        fs.writeFileSync(this.tsconfigPath, JSON.stringify(config, null, 2));
+    }
+
+    // TypeScript to JavaScript conversion
+    async convertTypeScriptFiles() {
+        if (this.mode === 'tsc') {
+            if (this.plugins.has('transformSource')) {
+                this.warnings.push({ file: 'plugins', message: 'transformSource hooks do not run in tsc mode, the compiler reads the sources itself' });
+            }
+            this.createTempTsConfig();
+            if (!this.compileTypeScriptFiles()) {
+                return false;
+            }
+            await this.recordCompiledFiles();
+            return true;
+        }
+
+        return this.stripTypeScriptFiles();
+    }
+
+    async stripTypeScriptFiles() {
+        const files = await glob(`${this.sourceDir}/**/*.{ts,tsx,js,jsx}`, { ignore: '**/*.d.ts' });
+        let failed = 0;
+
+        if (this.jsdoc && !(await this.generateTypedefModules())) {
+            failed++;
+        }
+
+        // propTypes resolve props across modules, so with them any source change invalidates every file
+        const sourcesDigest = this.propTypes ? this.cache.digest(await glob(`${this.sourceDir}/**/*.{ts,tsx}`)) : null;
+        const pending = files.filter((file) => !this.isConvertedFileFresh(file, sourcesDigest));
+        for (const file of files.filter((candidate) => !pending.includes(candidate))) {
+            this.report.addRewrites(path.relative(this.root, file), this.cache.entries[this.convertedFileKey(file)]?.rewrites ?? []);
+        }
+        const propTypes = this.propTypes && pending.length > 0 ? await this.createPropTypesGenerator() : null;
+        const stripper = new TypeStripper({ jsdoc: this.jsdoc, propTypes });
+
+        for (const file of pending) {
+            const relativePath = path.relative(this.sourceDir, file);
+            const outputFile = path.join(this.jsOutputDir, relativePath.replace(/\.ts(x?)$/, '.js$1'));
+            const context = { stage: 'convert', source: file, output: this.finalOutputPath(outputFile) };
+
+            try {
+                if (!(await this.plugins.beforeFile(context))) {
+                    continue;
+                }
+
+                const source = await this.plugins.transformSource(fs.readFileSync(file, 'utf8'), context);
+                let code = source;
+                let rewrites = [];
+
+                if (/\.tsx?$/.test(file)) {
+                    const result = stripper.strip(source, file);
+                    code = result.code;
+
+                    for (const issue of result.propTypeIssues) {
+                        this.warnings.push({
+                            file: relativePath,
+                            message: `${issue.component}.propTypes.${issue.prop} falls back to PropTypes.any: ${issue.reason}`,
+                        });
+                    }
+
+                    if (result.unsupported.length > 0) {
+                        const constructs = result.unsupported.map((entry) => `${entry.construct} (line ${entry.line})`);
+                        this.log(`   ⚠️  ${relativePath}: ${constructs.join(', ')} cannot be stripped, using compiler emit`);
+                        code = this.transpileFile(source, file);
+                    } else {
+                        rewrites = result.rewrites;
+                    }
+                }
+
+                code = await this.plugins.beforeWrite(code, context);
+                this.ensureDirectory(path.dirname(outputFile));
+                fs.writeFileSync(outputFile, code);
+                this.recordOperation('compiled', outputFile, file);
+                this.report.addRewrites(path.relative(this.root, file), rewrites);
+                this.convertedFiles.set(outputFile, {
+                    key: this.convertedFileKey(file),
+                    inputs: this.convertedFileInputs(file, sourcesDigest),
+                    rewrites,
+                });
+                await this.plugins.afterFile({ ...context, code });
+            } catch (err) {
+                this.error(`   ❌ Error converting ${relativePath}: ${err.message}`);
+                failed++;
+            }
+        }
+
+        if (failed > 0) {
+            this.error(`❌ ${failed} file(s) could not be converted`);
+            return false;
+        }
+
+        this.recordProgramDiagnostics(await glob(`${this.sourceDir}/**/*.{ts,tsx}`));
+
+        const unchanged = files.length - pending.length;
+        this.log(`✅ Stripped types from ${pending.length} files${unchanged > 0 ? ` (${unchanged} unchanged)` : ''}`);
+        return true;
+    }
+
+    convertedFileKey(file) {
+        return `js:${path.relative(this.root, file)}`;
+    }
+
+    convertedFileInputs(file, sourcesDigest = null) {
+        const inputs = this.cache.inputsOf([file]);
+        if (sourcesDigest) {
+            inputs['resources/js (propTypes)'] = sourcesDigest;
+        }
+        return inputs;
+    }
+
+    isConvertedFileFresh(file, sourcesDigest = null) {
+        return this.cache.isFresh(this.convertedFileKey(file), this.convertedFileInputs(file, sourcesDigest), this.outputDir);
+    }
+
+    async createPropTypesGenerator() {
+        this.log('   🔍 Type-checking sources for propTypes generation...');
+        const files = await glob(`${this.sourceDir}/**/*.{ts,tsx}`);
+        const tsconfigPath = path.join(this.root, 'tsconfig.json');
+
+        if (fs.existsSync(tsconfigPath)) {
+            return PropTypesGenerator.fromTsConfig(tsconfigPath, files);
+        }
+
+        return new PropTypesGenerator(files, {
+            jsx: ts.JsxEmit.Preserve,
+            module: ts.ModuleKind.ESNext,
+            moduleResolution: ts.ModuleResolutionKind.Bundler,
+            skipLibCheck: true,
+            paths: { '@/*': [`${this.sourceDir}/*`] },
+        });
+    }
+
+    /**
+     * Declaration files such as types/index.d.ts become modules of @typedef
+     * blocks. Their global and module augmentations cannot, so they are
+     * reported as residual TypeScript, cached files included.
+     */
+    async generateTypedefModules() {
+        const generator = new JsDocGenerator();
+        const declarationFiles = await glob(`${this.sourceDir}/**/*.d.ts`);
+        let success = true;
+
+        for (const file of declarationFiles) {
+            const relativePath = path.relative(this.sourceDir, file);
+            this.report.addResidual(path.relative(this.root, file), generator.augmentations(fs.readFileSync(file, 'utf8'), file));
+
+            if (this.isConvertedFileFresh(file)) {
+                continue;
+            }
+
+            try {
+                const code = generator.generateTypesModule(fs.readFileSync(file, 'utf8'), file);
+                if (!code) {
+                    continue;
+                }
+
+                const outputPath = relativePath.replace(/\.d\.ts$/, '.js');
+                this.ensureDirectory(path.dirname(path.join(this.jsOutputDir, outputPath)));
+                fs.writeFileSync(path.join(this.jsOutputDir, outputPath), code);
+                this.recordOperation('generated', path.join(this.jsOutputDir, outputPath), file);
+                this.convertedFiles.set(path.join(this.jsOutputDir, outputPath), {
+                    key: this.convertedFileKey(file),
+                    inputs: this.convertedFileInputs(file),
+                });
+                this.log(`   📝 Generated typedefs: ${relativePath} → ${outputPath}`);
+            } catch (err) {
+                this.error(`   ❌ Error generating typedefs for ${relativePath}: ${err.message}`);
+                success = false;
+            }
+        }
+
+        return success;
+    }
+
+    // Diagnostics are reported for every source by recordProgramDiagnostics
+    transpileFile(source, fileName) {
+        const { outputText } = ts.transpileModule(source, {
+            fileName,
+            compilerOptions: {
+                jsx: ts.JsxEmit.Preserve,
+                target: ts.ScriptTarget.ESNext,
+                module: ts.ModuleKind.ESNext,
+                isolatedModules: true,
+            },
+        });
+        return outputText;
+    }
+
+    /**
+     * Strip mode never runs the compiler, so the syntactic and semantic
+     * diagnostics of the sources come from a program built with the project's
+     * tsconfig.json, as `tsc --noEmit` reports them. Every source is checked
+     * on every run, since a change can break the files that import it.
+     */
+    recordProgramDiagnostics(files) {
+        const tsconfigPath = path.join(this.root, 'tsconfig.json');
+        let options = { jsx: ts.JsxEmit.Preserve, module: ts.ModuleKind.ESNext, moduleResolution: ts.ModuleResolutionKind.Bundler, skipLibCheck: true, paths: { '@/*': [`${this.sourceDir}/*`] } };
+        if (fs.existsSync(tsconfigPath)) {
+            const { config, error } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+            if (error) {
+                throw new Error(`Error parsing ${tsconfigPath}: ${ts.flattenDiagnosticMessageText(error.messageText, '\n')}`);
+            }
+            ({ options } = ts.parseJsonConfigFileContent(config, ts.sys, this.root));
+        }
+
+        const program = ts.createProgram(files, { ...options, noEmit: true });
+        const sources = new Set(files.map((file) => path.resolve(file)));
+
+        for (const diagnostic of ts.getPreEmitDiagnostics(program)) {
+            const message = ts.flattenDiagnosticMessageText(diagnostic.messageText, ' ');
+            const code = `TS${diagnostic.code}`;
+            if (!diagnostic.file || !sources.has(path.resolve(diagnostic.file.fileName)) || this.isMissingWayfinderModule(code, message)) {
+                continue;
+            }
+            const position = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+            this.report.addDiagnostic(path.relative(this.root, diagnostic.file.fileName), { code, line: position.line + 1, column: position.character + 1, message });
+        }
+    }
+
+    // tsc writes its output without telling us which files, so map them back to their sources
+    async recordCompiledFiles() {
+        const files = glob.sync('**/*.{js,jsx}', { cwd: this.jsOutputDir });
+
+        for (const file of files) {
+            const base = file.replace(/\.jsx?$/, '');
+            const source = ['.tsx', '.ts', '.jsx', '.js']
+                .map((extension) => path.join(this.sourceDir, base + extension))
+                .find((candidate) => fs.existsSync(candidate));
+            const outputFile = path.join(this.jsOutputDir, file);
+            const context = { stage: 'convert', source: source ?? null, output: this.finalOutputPath(outputFile) };
+
+            if (!(await this.plugins.beforeFile(context))) {
+                fs.rmSync(outputFile);
+                continue;
+            }
+            if (this.plugins.has('beforeWrite')) {
+                fs.writeFileSync(outputFile, await this.plugins.beforeWrite(fs.readFileSync(outputFile, 'utf8'), context));
+            }
+            this.recordOperation('compiled', outputFile, source ?? null);
+            await this.plugins.afterFile({ ...context, code: fs.readFileSync(outputFile, 'utf8') });
+        }
+    }
+
+    compileTypeScriptFiles() {
+        try {
+            execSync(`npx tsc -p "${this.tsconfigPath}" --noEmitOnError false --skipLibCheck --pretty false`, {
+                stdio: 'pipe',
+                encoding: 'utf8',
+                cwd: this.root,
+            });
+            this.log('✅ TypeScript compilation completed successfully');
+            return true;
+        } catch (err) {
+            // tsc emits despite type errors; keep them for the report instead of discarding them
+            this.recordCompilerDiagnostics(err.stdout ?? '');
+            const outputExists = fs.existsSync(this.jsOutputDir) && fs.readdirSync(this.jsOutputDir).length > 0;
+
+            if (outputExists) {
+                return true;
+            }
+
+            this.error(`❌ Conversion failed: ${err.message}`);
+            try {
+                this.log('🔄 Retrying with permissive settings...');
+                execSync(`npx tsc -p "${this.tsconfigPath}" --noEmitOnError false --skipLibCheck --noImplicitAny false --pretty false`, {
+                    stdio: 'pipe',
+                    encoding: 'utf8',
+                    cwd: this.root,
+                });
+                this.log('✅ TypeScript compilation completed with permissive settings');
+                return true;
+            } catch (retryErr) {
+                const retryOutputExists = fs.existsSync(this.jsOutputDir) && fs.readdirSync(this.jsOutputDir).length > 0;
+
+                if (retryOutputExists) {
+                    this.log('⚠️  TypeScript compilation had errors but files were generated successfully');
+                    return true;
+                }
+
+                this.error(`❌ Retry also failed: ${retryErr.message}`);
+                return false;
+            }
+        }
+    }
+
+    /**
+     * Parses `file(line,col): error TS1234: message` lines; indented lines
+     * continue the message. Imports of Wayfinder modules that are not
+     * generated yet are expected to be missing and are left out.
+     */
+    recordCompilerDiagnostics(output) {
+        let last = null;
+        for (const line of output.split('\n')) {
+            const match = line.match(/^(.+?)\((\d+),(\d+)\): (?:error|warning) (TS\d+): (.*)$/);
+            if (match) {
+                const [, file, lineNumber, column, code, message] = match;
+                last = this.isMissingWayfinderModule(code, message) ? null : { code, line: Number(lineNumber), column: Number(column), message };
+                if (last) {
+                    this.report.addDiagnostic(path.relative(this.root, path.resolve(this.root, file)), last);
+                }
+            } else if (last && /^\s+\S/.test(line)) {
+                last.message += ` ${line.trim()}`;
+            }
+        }
+    }
+
+    // Imports of Wayfinder modules that are not generated yet are expected to be missing
+    isMissingWayfinderModule(code, message) {
+        return code === 'TS2307' && WAYFINDER_DIRS.some((dir) => !fs.existsSync(path.join(this.sourceDir, dir)) && message.startsWith(`Cannot find module '@/${dir}`));
+    }
+
+    // Residual TypeScript report
+    loadAllowlist() {
+        if (!fs.existsSync(this.allowlistFile)) {
+            return [];
+        }
+        return JSON.parse(fs.readFileSync(this.allowlistFile, 'utf8'));
+    }
+
+    /**
+     * Scans the converted resources/js for TypeScript syntax that survived the
+     * conversion and prints every finding, together with the compiler
+     * diagnostics, as a table. Findings that are not allowlisted fail the run.
+     */
+    checkResidualTypeScript(outputResourcesJs) {
+        const detector = new ResidualTypeScriptDetector();
+        for (const file of glob.sync('**/*.{js,jsx}', { cwd: outputResourcesJs })) {
+            const code = fs.readFileSync(path.join(outputResourcesJs, file), 'utf8');
+            this.report.addResidual(path.posix.join('resources/js', file.split(path.sep).join('/')), detector.scan(code, file));
+        }
+
+        for (const rewrite of this.report.rewrites()) {
+            this.log(`   🔁 ${rewrite.file}:${rewrite.line} ${rewrite.construct}: ${rewrite.detail}`);
+        }
+
+        const rows = this.report.rows();
+        if (rows.length === 0) {
+            this.log('✅ No residual TypeScript or compiler diagnostics in output');
+            return true;
+        }
+
+        if (!this.quiet) {
+            console.table(rows.map(({ file, line, kind, detail, allowed }) => ({ file, line, kind, detail, allowed })));
+        }
+
+        const failing = this.report.failing;
+        if (failing > 0) {
+            this.error(`❌ ${failing} residual TypeScript finding(s) or diagnostic(s) are not allowlisted in ${path.relative(this.root, this.allowlistFile)}`);
+            return false;
+        }
+
+        this.log(`⚠️  ${rows.length} allowlisted finding(s), see ${path.relative(this.root, this.reportFile)}`);
+        return true;
+    }
+
+    writeReport() {
+        fs.writeFileSync(this.reportFile, `${JSON.stringify(this.report, null, 2)}\n`);
+        this.debug(`   📝 Report written to ${path.relative(this.root, this.reportFile)}`);
+    }
+
+    // Template release
+    /**
+     * Writes CHANGELOG.md and the version metadata for the template, based on
+     * the output changes since the previous template and the upstream tag.
+     */
+    writeTemplateRelease() {
+        try {
+            const release = new TemplateRelease({
+                outputDir: this.outputDir,
+                previous: this.previous,
+                upstreamTag: this.upstreamTag ?? this.gitOutput('describe', '--tags', '--abbrev=0'),
+                upstreamSha: this.upstreamSha(),
+                cwd: this.root,
+            });
+            const plan = release.plan();
+            const date = new Date().toISOString().slice(0, 10);
+
+            this.writeGeneratedFile(path.join(this.outputDir, CHANGELOG_FILE), release.changelog(plan, date));
+            this.writeGeneratedFile(path.join(this.outputDir, VERSION_FILE), `${JSON.stringify(plan.metadata, null, 4)}\n`);
+
+            const total = plan.changes.added.length + plan.changes.modified.length + plan.changes.deleted.length;
+            if (!plan.changed) {
+                this.log(`🏷️  Template version ${plan.version} (no changes since the previous template)`);
+            } else if (this.previous) {
+                this.log(`🏷️  Template version ${plan.version} (${total} file(s) changed since ${plan.previousVersion ?? this.previous})`);
+            } else {
+                this.log(`🏷️  Template version ${plan.version}`);
+            }
+            return true;
+        } catch (err) {
+            this.error(`❌ Could not write the changelog: ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Writes output/.conversion-manifest.json with the provenance of every
+     * output file, see ConversionManifest. The converter version is the
+     * fingerprint the conversion cache is bound to, a hash of the converter
+     * sources, the conversion config, the plugins and the options.
+     */
+    writeManifest() {
+        try {
+            const manifest = ConversionManifest.load({ outputDir: this.outputDir, root: this.root });
+            manifest.record(this.operations);
+            manifest.reconcile();
+            manifest.upstream = { sha: this.upstreamSha() };
+            manifest.converter = { version: this.cache.fingerprint };
+            if (manifest.write()) {
+                this.debug(`   📒 Updated ${MANIFEST_FILE}`);
+            }
+            this.manifest = manifest;
+            return true;
+        } catch (err) {
+            this.error(`❌ Could not write ${MANIFEST_FILE}: ${err.message}`);
+            return false;
+        }
+    }
+
+    upstreamSha() {
+        return this.gitOutput('rev-parse', 'HEAD');
+    }
+
+    // Writes a file only when its content changes, so reruns leave it alone
+    writeGeneratedFile(file, content) {
+        if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) {
+            return;
+        }
+        fs.writeFileSync(file, content);
+        this.recordOperation('generated', file);
+    }
+
+    gitOutput(...args) {
+        try {
+            return execSync(`git ${args.join(' ')}`, { stdio: 'pipe', encoding: 'utf8', cwd: this.root }).trim() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    // File processing
+    async processJavaScriptFiles() {
+        const files = await glob(`${this.jsOutputDir}/**/*.{js,jsx}`);
+        for (const file of files) {
+            try {
+                const original = fs.readFileSync(file, 'utf8');
+                const isJsx = file.endsWith('.js') && /<\w[\s>/]/.test(original);
+                const newName = isJsx ? file.replace(/\.js$/, '.jsx') : file;
+                const context = { stage: 'process', source: this.finalOutputPath(file), output: this.finalOutputPath(newName) };
+
+                if (!(await this.plugins.beforeFile(context))) {
+                    continue;
+                }
+
+                const code = await this.plugins.beforeWrite(await this.plugins.transformSource(original, context), context);
+                if (code !== original) {
+                    fs.writeFileSync(file, code);
+                }
+
+                if (isJsx) {
+                    fs.renameSync(file, newName);
+                    this.recordOperation('renamed', newName, this.finalOutputPath(file));
+                    if (this.convertedFiles.has(file)) {
+                        this.convertedFiles.set(newName, this.convertedFiles.get(file));
+                        this.convertedFiles.delete(file);
+                    }
+                    this.debug(`📝 Renamed: ${path.basename(file)} → ${path.basename(newName)}`);
+                }
+                await this.plugins.afterFile({ ...context, code });
+            } catch (err) {
+                this.error(`❌ Error processing ${file}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Points the module references of every converted file at the converted
+     * files, see ReferenceRewriter. Runs after processJavaScriptFiles, so
+     * files renamed to .jsx there are referenced by their new name.
+     */
+    async updateFileReferences() {
+        const rewriter = new ReferenceRewriter({
+            sourceDir: this.sourceDir,
+            aliases: { '@/': this.sourceDir },
+            outputExtension: (sourceFile) => this.convertedExtension(sourceFile),
+        });
+        const files = await glob(`${this.jsOutputDir}/**/*.{js,jsx,mjs,cjs}`);
+        let updated = 0;
+
+        for (const file of files.sort()) {
+            try {
+                const context = { stage: 'references', source: this.finalOutputPath(file), output: this.finalOutputPath(file) };
+                if (!(await this.plugins.beforeFile(context))) {
+                    continue;
+                }
+
+                const original = fs.readFileSync(file, 'utf8');
+                const sourceFile = this.sourceFileOf(file);
+                const { code: rewritten, rewrites } = rewriter.rewrite(await this.plugins.transformSource(original, context), sourceFile);
+                const content = await this.plugins.beforeWrite(rewritten, context);
+
+                if (content !== original) {
+                    fs.writeFileSync(file, content);
+                }
+                if (rewrites.length > 0) {
+                    updated++;
+                    for (const { from, to, line } of rewrites) {
+                        this.debug(`   🔄 ${path.relative(this.jsOutputDir, file)}:${line}: ${from} → ${to}`);
+                    }
+                }
+                await this.plugins.afterFile({ ...context, code: content });
+            } catch (err) {
+                this.error(`   ❌ Error updating references in ${file}: ${err.message}`);
+            }
+        }
+
+        if (updated > 0) {
+            this.log(`   🔄 Updated file references in ${updated} file(s)`);
+        }
+    }
+
+    // TypeScript source a converted file in the intermediate js/ directory came from
+    sourceFileOf(file) {
+        const relative = path.relative(this.jsOutputDir, file);
+        const candidates = [relative.replace(/\.([cm]?)jsx?$/, '.$1tsx'), relative.replace(/\.([cm]?)jsx?$/, '.$1ts'), relative];
+        return path.join(this.sourceDir, candidates.find((candidate) => fs.existsSync(path.join(this.sourceDir, candidate))) ?? relative);
+    }
+
+    // Extension a source file was converted to: this run's output first, then what earlier runs left in resources/js
+    convertedExtension(sourceFile) {
+        const relative = path.relative(this.sourceDir, sourceFile);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return null;
+        }
+        const base = relative.replace(/\.[cm]?[jt]sx?$/, '');
+        for (const dir of [this.jsOutputDir, path.join(this.outputDir, 'resources/js')]) {
+            const extension = ['.jsx', '.js', '.mjs', '.cjs'].find((candidate) => fs.existsSync(path.join(dir, `${base}${candidate}`)));
+            if (extension) {
+                return extension;
+            }
+        }
+        return null;
+    }
+
+    // Conversion rules
+    async loadConfig() {
+        this.config = this.configObject ? normalizeConversionConfig(this.configObject, this.root) : await loadConversionConfig(this.configFile);
+        this.ruleEngine = new RuleEngine(this.transforms());
+        const extraPlugins = normalizeConversionConfig({ plugins: this.extraPlugins }, this.root).plugins;
+        this.plugins = await PluginHost.load([...this.config.plugins, ...extraPlugins], this.root);
+    }
+
+    /**
+     * Transforms and steps the conversion config refers to by name, for the
+     * edits that need more than a regex or a JSON path.
+     */
+    transforms() {
+        return {
+            eslintJavaScript: (content) => this.convertEslintConfigToJavaScript(content),
+            esmDirname: (content) => this.replaceDirname(content),
+            wayfinderPlugin: (content) => this.rewriteWayfinderPlugin(content),
+            viteReferences: (content, { file }) => this.rewriteViteReferences(content, file),
+            jsconfig: (content, { file }) => this.jsConfigFromTsConfig(content, file),
+            pruneDependencies: (content) => this.prunePackageJson(content),
+        };
+    }
+
+    steps() {
+        return {
+            packageLock: () => this.updatePackageLock(),
+        };
+    }
+
+    // Rule for a project file, matching glob rules against the files of `dir`
+    ruleFor(file, dir = this.root) {
+        return (
+            this.config.rules.find((rule) => rule.file === file) ??
+            this.config.rules.find((rule) => hasMagic(rule.file) && glob.sync(rule.file, { cwd: dir, posix: true }).includes(file)) ??
+            null
+        );
+    }
+
+    // Glob rules stand for one rule per matching file; a glob without matches is kept to report a required rule
+    expandRules() {
+        return this.config.rules.flatMap((rule) => {
+            if (!hasMagic(rule.file)) {
+                return [rule];
+            }
+            const files = glob.sync(rule.file, { cwd: this.root, nodir: true, posix: true }).sort();
+            return files.length > 0 ? files.map((file) => ({ ...rule, file })) : [rule];
+        });
+    }
+
+    ruleInputs(rule) {
+        const source = path.relative(this.root, this.sourceDir).split(path.sep).join('/');
+        return (rule.inputs ?? []).flatMap((pattern) =>
+            glob.sync(pattern.replaceAll('{source}', source), { cwd: this.root, posix: true }).sort().map((file) => path.join(this.root, file)),
+        );
+    }
+
+    async applyRule(rule) {
+        const sourceFile = path.resolve(this.root, rule.file);
+        if (!fs.existsSync(sourceFile)) {
+            if (rule.required) {
+                this.error(`   ❌ ${rule.file} not found`);
+                return false;
+            }
+            return true;
+        }
+
+        const output = rule.rename ?? rule.file;
+        const outputFile = path.join(this.outputDir, output);
+        const context = { stage: 'config', source: sourceFile, output: outputFile };
+        if (!(await this.plugins.beforeFile(context))) {
+            return true;
+        }
+
+        if (rule.step) {
+            const step = this.steps()[rule.step];
+            if (!step) {
+                throw new Error(`Unknown step "${rule.step}" for ${rule.file}, expected one of: ${Object.keys(this.steps()).join(', ')}`);
+            }
+            const success = await step();
+            await this.plugins.afterFile({ ...context, code: fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf8') : null });
+            return success;
+        }
+
+        const source = await this.plugins.transformSource(fs.readFileSync(sourceFile, 'utf8'), context);
+        const converted = this.ruleEngine.apply(source, rule.edits, { file: rule.file, output, converter: this });
+        const content = await this.plugins.beforeWrite(converted, context);
+
+        this.ensureDirectory(path.dirname(outputFile));
+        this.writeRewrittenFile(sourceFile, outputFile, content);
+        await this.plugins.afterFile({ ...context, code: content });
+
+        for (const copied of [...(rule.rename ? [rule.file] : []), ...(rule.delete ?? [])]) {
+            const copiedFile = path.join(this.outputDir, copied);
+            if (fs.existsSync(copiedFile)) {
+                this.removeOutputPath(copiedFile);
+                this.debug(`   🗑️  Removed: ${copied}`);
+            }
+        }
+
+        this.log(rule.rename ? `   ✅ Converted: ${rule.file} → ${rule.rename}` : `   ✅ Updated: ${rule.file}`);
+        return true;
+    }
+
+    // Writes a file of the conversion config's `generate` list, recorded as a rewrite when the project has one
+    generateFile(entry) {
+        const outputFile = path.join(this.outputDir, entry.file);
+        const sourceFile = path.resolve(this.root, entry.file);
+        const content = entry.template
+            ? fs.readFileSync(entry.template, 'utf8')
+            : typeof entry.content === 'function'
+              ? entry.content(this)
+              : entry.content;
+
+        this.ensureDirectory(path.dirname(outputFile));
+        if (fs.existsSync(sourceFile)) {
+            this.writeRewrittenFile(sourceFile, outputFile, content);
+        } else {
+            fs.writeFileSync(outputFile, content);
+            this.recordOperation('generated', outputFile);
+        }
+        this.log(`   ✅ Generated: ${entry.file}`);
+        return true;
+    }
+
+    /**
+     * Points the Vite entries of a Blade view at the converted files, see
+     * BladeViteRewriter, and fails on TypeScript references it cannot convert,
+     * which would break the template at runtime.
+     */
+    rewriteViteReferences(content, file) {
+        const rewriter = new BladeViteRewriter({
+            sourcePrefix: `${path.relative(this.root, this.sourceDir).split(path.sep).join('/')}/`,
+            convertedName: (entry) => {
+                const sourceFile = path.join(this.root, entry);
+                if (!fs.existsSync(sourceFile)) {
+                    return null;
+                }
+                return entry.replace(/\.([cm]?)ts(x?)$/, this.convertedExtension(sourceFile) ?? '.$1js$2');
+            },
+        });
+        const { content: rewritten, rewrites, unresolved } = rewriter.rewrite(content);
+
+        for (const { from, to, line } of rewrites) {
+            this.debug(`   🔄 ${file}:${line}: ${from} → ${to}`);
+        }
+        if (unresolved.length > 0) {
+            const references = unresolved.map(({ text, line }) => `${text} (line ${line})`).join(', ');
+            throw new Error(`${file} still references TypeScript files the conversion does not produce: ${references}`);
+        }
+        return rewritten;
+    }
+
+    // ESM has no __dirname
+    replaceDirname(content) {
+        if (!content.includes('__dirname')) {
+            return content;
+        }
+        if (!content.includes('fileURLToPath')) {
+            content = content.replace(/(import\s+\{[^}]*\}\s+from\s+['"]node:path['"];?)/, "$1\nimport { fileURLToPath, URL } from 'node:url';");
+        }
+        return content.replace(/__dirname/g, "fileURLToPath(new URL('.', import.meta.url))");
+    }
+
+    /**
+     * Wayfinder only emits TypeScript, so the template wraps its Vite plugin:
+     * after every generation the modules it wrote are compiled to JavaScript
+     * with Vite's own esbuild and the .ts files are removed.
+     */
+    rewriteWayfinderPlugin(content) {
+        if (!content.includes('@laravel/vite-plugin-wayfinder')) {
+            return content;
+        }
+
+        const dirs = WAYFINDER_DIRS.map((dir) => `'${dir}'`).join(', ');
+        const helper = `
+// Wayfinder generates TypeScript; compile its route and action modules to JavaScript
+const wayfinderJs = (options = {}) => {
+    const plugin = wayfinder(options);
+    const base = options.path ?? 'resources/js';
+    // Every generation rewrites all modules, so only those whose source changed since the last one are compiled again
+    const compiled = new Map();
+
+    const compile = async () => {
+        for (const dir of [${dirs}].map((name) => path.join(base, name))) {
+            if (!fs.existsSync(dir)) {
+                continue;
+            }
+            for (const file of fs.readdirSync(dir, { recursive: true })) {
+                if (!file.endsWith('.ts')) {
+                    continue;
+                }
+                const source = path.join(dir, file);
+                const ts = fs.readFileSync(source, 'utf8');
+                if (compiled.get(source)?.ts !== ts) {
+                    const { code } = await transformWithEsbuild(ts, source, { loader: 'ts' });
+                    compiled.set(source, { ts, code });
+                }
+                fs.writeFileSync(source.replace(/\\.ts$/, '.js'), compiled.get(source).code);
+                fs.rmSync(source);
+            }
+        }
+    };
+
+    return {
+        ...plugin,
+        async buildStart(...args) {
+            await plugin.buildStart.apply(this, args);
+            await compile();
+        },
+        async handleHotUpdate(context) {
+            await plugin.handleHotUpdate(context);
+            await compile();
+        },
+    };
+};
+
+`;
+
+        content = content.replace(/\bwayfinder\(/g, 'wayfinderJs(');
+        content = content.replace(/import\s*\{([^}]*)\}\s*from\s*(['"])vite\2/, (match, names, quote) =>
+            names.includes('transformWithEsbuild') ? match : `import {${names.trimEnd()}, transformWithEsbuild } from ${quote}vite${quote}`,
+        );
+
+        const nodeImports = [];
+        if (!/import\s+fs\s+from\s+['"](node:)?fs['"]/.test(content)) {
+            nodeImports.push("import fs from 'node:fs';");
+        }
+        if (!/import\s+path\s+from\s+['"](node:)?path['"]/.test(content)) {
+            nodeImports.push("import path from 'node:path';");
+        }
+        if (nodeImports.length > 0) {
+            content = content.replace(/^import .* from ['"]vite['"];?$/m, (viteImport) => `${nodeImports.join('\n')}\n${viteImport}`);
+        }
+
+        return content.replace(/^export default /m, `${helper}export default `);
+    }
+
+    // The template gets a jsconfig.json with the tsconfig.json options that still mean something for JavaScript
+    jsConfigFromTsConfig(content, file) {
+        // tsconfig.json is JSONC (comments, trailing commas), which the TypeScript parser reads as-is
+        const { config, error } = ts.parseConfigFileTextToJson(file, content);
+        if (error) {
+            throw new Error(`Error parsing ${file}: ${ts.flattenDiagnosticMessageText(error.messageText, '\n')}`);
+        }
+
+        const compilerOptions = Object.fromEntries(
+            Object.entries(config.compilerOptions ?? {}).filter(([option]) => JSCONFIG_OPTIONS.includes(option)),
+        );
+
+        // Ambient declarations such as `/// <reference types="vite/client" />` do not survive the conversion
+        const typeReferences = this.ambientTypeReferences();
+        if (typeReferences.length > 0) {
+            compilerOptions.types = [...new Set([...(compilerOptions.types ?? []), ...typeReferences])];
+        }
+        compilerOptions.checkJs = this.checkJs;
+
+        const jsConfig = { compilerOptions };
+        if (config.include) {
+            const include = config.include
+                .filter((pattern) => !pattern.endsWith('.d.ts'))
+                .map((pattern) => pattern.replace(/\.ts(x?)$/, '.js$1'));
+            jsConfig.include = [...new Set(include)];
+        }
+        if (config.exclude) {
+            jsConfig.exclude = config.exclude;
+        }
+
+        this.debug(`      jsconfig.json checkJs: ${this.checkJs}`);
+        return `${JSON.stringify(jsConfig, null, 4)}\n`;
+    }
+
+    declarationFiles() {
+        return glob.sync(`${this.sourceDir}/**/*.d.ts`);
+    }
+
+    ambientTypeReferences() {
+        return this.declarationFiles().flatMap((file) =>
+            [...fs.readFileSync(file, 'utf8').matchAll(/^\/\/\/\s*<reference\s+types=["']([^"']+)["']\s*\/>/gm)].map((match) => match[1]),
+        );
+    }
+
+    prunePackageJson(source) {
+        const pruner = new DependencyPruner(this.dependencyRules(), { convertedName: (argument) => this.convertedScriptArgument(argument) });
+        const { packageJson, removed, scripts, added } = pruner.prune(JSON.parse(source));
+
+        for (const { section, name } of removed) {
+            this.debug(`      ➖ ${section}: ${name}`);
+        }
+        for (const { name, action, command } of scripts) {
+            this.debug(`      ✂️  script ${name} ${action}${action === 'rewritten' ? `: ${command}` : ''}`);
+        }
+        for (const { section, name, range } of added) {
+            this.debug(`      ➕ ${section}: ${name}@${range}`);
+        }
+
+        // Keep the upstream indentation, npm follows it when writing the lockfile
+        const indent = source.match(/^([ \t]+)"/m)?.[1] ?? 2;
+        this.log(`   ✂️  Dependencies: ${removed.length} removed, ${scripts.length} scripts changed, ${added.length} added`);
+        return `${JSON.stringify(packageJson, null, indent)}\n`;
+    }
+
+    /**
+     * Name of the converted file(s) a package.json script argument points at:
+     * a TypeScript file the conversion compiles, or a glob below the converted
+     * sources. Anything else, e.g. scripts outside resources/js, stays as is.
+     */
+    convertedScriptArgument(argument) {
+        if (hasMagic(argument)) {
+            const base = argument.slice(0, argument.search(/[*?[{]/));
+            const baseDir = path.resolve(this.root, base);
+            if (baseDir !== this.sourceDir && !this.isInside(this.sourceDir, baseDir)) {
+                return null;
+            }
+            return argument.replace(/\.[^./]*$/, (extension) => extension.replace(/\b([cm]?)ts(x?)\b/g, '$1js$2'));
+        }
+
+        const extension = this.convertedExtension(path.resolve(this.root, argument));
+        return extension ? argument.replace(/\.[cm]?tsx?$/, extension) : null;
+    }
+
+    dependencyRules() {
+        const rules = { ...DEFAULT_DEPENDENCY_RULES, ...this.dependencyRuleOverrides };
+
+        // Generated propTypes blocks import prop-types at runtime
+        if (this.propTypes && this.mode === 'strip') {
+            rules.add = { ...rules.add, dependencies: { ...rules.add.dependencies, 'prop-types': '^15.8.1' } };
+        }
+
+        return rules;
+    }
+
+    /**
+     * Brings the copied package-lock.json in line with the rewritten
+     * package.json. npm resolves from the existing lockfile and its cache
+     * only; when that is not enough the upstream lockfile is kept as is.
+     */
+    updatePackageLock() {
+        const sourceFile = path.join(this.root, 'package-lock.json');
+        const outputLock = path.join(this.outputDir, 'package-lock.json');
+
+        if (!fs.existsSync(sourceFile) || !fs.existsSync(path.join(this.outputDir, 'package.json'))) {
+            return true;
+        }
+
+        fs.copyFileSync(sourceFile, outputLock);
+        try {
+            execSync('npm install --package-lock-only --offline --ignore-scripts --no-audit --no-fund', {
+                cwd: this.outputDir,
+                stdio: 'pipe',
+                encoding: 'utf8',
+            });
+        } catch (err) {
+            const reason = err.stderr?.split('\n').find((line) => line.includes('ERR')) ?? err.message;
+            this.warnings.push({ file: 'package-lock.json', message: `could not be regenerated offline, kept upstream lockfile (${reason.trim()})` });
+            this.recordOperation('copied', outputLock, sourceFile);
+            return true;
+        }
+
+        // npm names the lockfile after the directory it ran in
+        const upstreamName = JSON.parse(fs.readFileSync(sourceFile, 'utf8')).name;
+        const lockText = fs.readFileSync(outputLock, 'utf8');
+        const lock = JSON.parse(lockText);
+        if (upstreamName && lock.name !== upstreamName) {
+            lock.name = upstreamName;
+            const indent = lockText.match(/^([ \t]+)"/m)?.[1] ?? 2;
+            fs.writeFileSync(outputLock, `${JSON.stringify(lock, null, indent)}\n`);
+        }
+
+        // A lockfile diff is thousands of lines, so it is recorded without one
+        this.recordOperation('rewritten', outputLock, sourceFile);
+        this.log('   ✅ Updated: package-lock.json (regenerated offline)');
+        return true;
+    }
+
+    // Statistics and cleanup
+    // Counted from the manifest, so the numbers describe what the output actually holds
+    generateStats() {
+        const manifest = this.manifest?.toJSON() ?? ConversionManifest.read(this.outputDir) ?? { files: {} };
+        const entries = Object.entries(manifest.files).filter(([, entry]) => entry.operation !== 'deleted');
+        const isView = (file) => file.startsWith('resources/views/') && file.endsWith('.blade.php');
+        const rewritten = (entry) => entry.operation === 'rewritten' || entry.operation === 'renamed';
+
+        this.stats = {
+            sources: new Set(entries.map(([, entry]) => entry.source).filter((source) => /\.[cm]?tsx?$/.test(source ?? ''))).size,
+            javascript: entries.filter(([file]) => file.startsWith('resources/js/') && /\.[cm]?jsx?$/.test(file)).length,
+            config: entries.filter(([file, entry]) => rewritten(entry) && !file.startsWith('resources/')).length,
+            templates: entries.filter(([file, entry]) => rewritten(entry) && isView(file)).length,
+            total: entries.length,
+            operations: Object.fromEntries(
+                OPERATIONS.map((action) => [action, Object.values(manifest.files).filter((entry) => entry.operation === action).length]),
+            ),
+        };
+
+        this.log('\n📊 Conversion Statistics:');
+        this.log(`   TypeScript source files: ${this.stats.sources}`);
+        this.log(`   JavaScript output files: ${this.stats.javascript}`);
+        this.log(`   Rewritten project files: ${this.stats.config}`);
+        this.log(`   Template files: ${this.stats.templates}`);
+        this.log(`   Total output files: ${this.stats.total}`);
+        this.log(`   By operation: ${OPERATIONS.map((action) => `${this.stats.operations[action]} ${action}`).join(', ')}`);
+        return this.stats;
+    }
+
+    /**
+     * What the run did, for the Node API: every output file with its last
+     * operation (the plan's operations for a dry run), the warnings, the
+     * errors and the statistics. Paths are relative to the output directory
+     * and the project root.
+     */
+    result(success) {
+        const files = this.plan
+            ? this.plan.operations.map(({ action, target, source }) => ({ action, file: target, source }))
+            : [
+                  ...new Map(
+                      this.operations.map(({ action, target, source }) => [
+                          target,
+                          { action, file: path.relative(this.outputDir, target), source: source ? path.relative(this.root, source) : null },
+                      ]),
+                  ).values(),
+              ].sort((a, b) => a.file.localeCompare(b.file));
+
+        return {
+            success,
+            root: this.root,
+            output: this.destinationDir,
+            files,
+            warnings: this.warnings,
+            errors: this.errors,
+            stats: this.stats,
+            ...(this.plan ? { plan: this.plan } : {}),
+        };
+    }
+
+    printWarnings() {
+        if (this.warnings.length === 0) {
+            return;
+        }
+
+        this.log(`\n⚠️  Warnings (${this.warnings.length}):`);
+        for (const warning of this.warnings) {
+            this.log(`   • ${warning.file}: ${warning.message}`);
+        }
+    }
+
+    cleanup() {
+        if (fs.existsSync(this.tsconfigPath)) {
+            fs.rmSync(this.tsconfigPath);
+        }
+    }
+
+    // Copy entire project structure
+    async copyProjectStructure() {
+        this.log('\n📁 Copying project structure...');
+
+        const excludeDirs = this.config.exclude.dirs;
+        const excludeFiles = [...this.config.exclude.files, path.relative(this.root, this.reportFile)];
+        if (this.configFile) {
+            excludeFiles.push(path.relative(this.root, this.configFile));
+        }
+
+        await this.copyProjectFiles(this.root, this.outputDir, excludeDirs, excludeFiles);
+
+        // Skip copying .github/workflows to avoid permission issues
+        this.log('   ⏭️  Skipped: .github/workflows (to avoid GitHub permission issues)');
+
+        // Skip copying auto-release.yml to avoid permission issues
+        this.log('   ⏭️  Skipped: auto-release.yml (to avoid GitHub permission issues)');
+
+        this.log('   ✅ Project structure copied');
+    }
+
+    async copyWorkflowFiles() {
+        this.log('\n📋 Copying workflow files...');
+        
+        const githubDir = '.github';
+        const workflowsDir = path.join(this.root, githubDir, 'workflows');
+        const outputGithubDir = path.join(this.outputDir, githubDir);
+        const outputWorkflowsDir = path.join(outputGithubDir, 'workflows');
+        
+        // Create .github/workflows directory in output
+        this.ensureDirectory(outputGithubDir);
+        this.ensureDirectory(outputWorkflowsDir);
+        
+        // Copy workflow files except sync-and-deploy.yml
+        if (fs.existsSync(workflowsDir)) {
+            const workflowFiles = fs.readdirSync(workflowsDir);
+            
+            for (const file of workflowFiles) {
+                if (file === 'sync-and-deploy.yml') {
+                    this.log(`   ⏭️  Skipped: ${file} (development-specific workflow)`);
+                    continue;
+                }
+                
+                const sourcePath = path.join(workflowsDir, file);
+                const targetPath = path.join(outputWorkflowsDir, file);
+                
+                if (fs.statSync(sourcePath).isFile()) {
+                    await this.copyFile(sourcePath, targetPath);
+                    this.log(`   ✅ Copied: ${file}`);
+                }
+            }
+        }
+        
+        // Copy template workflows if they exist
+        const templateWorkflowsDir = path.join(this.root, 'templates', 'workflows');
+        if (fs.existsSync(templateWorkflowsDir)) {
+            const templateFiles = fs.readdirSync(templateWorkflowsDir);
+            
+            for (const file of templateFiles) {
+                const sourcePath = path.join(templateWorkflowsDir, file);
+                const targetPath = path.join(outputWorkflowsDir, file);
+                
+                if (fs.statSync(sourcePath).isFile()) {
+                    await this.copyFile(sourcePath, targetPath);
+                    this.log(`   ✅ Copied template: ${file}`);
+                }
+            }
+        }
+        
+        this.log('   ✅ Workflow files copied');
+    }
+
+    async copyProjectFiles(source, target, excludeDirs, excludeFiles) {
+        const items = fs.readdirSync(source);
+
+        for (const item of items) {
+            if (excludeDirs.includes(item) || excludeFiles.includes(item)) {
+                continue;
+            }
+
+            // Skip .github directory here, we handle it specially
+            if (item === '.github') {
+                continue;
+            }
+
+            const sourcePath = path.join(source, item);
+            const targetPath = path.join(target, item);
+
+            // Never copy the output directory into itself, whatever --out names it
+            if (sourcePath === this.destinationDir) {
+                continue;
+            }
+
+            // The js phase writes converted sources there, so the TypeScript originals are not copied
+            if (this.phases.has('js') && sourcePath === this.sourceDir) {
+                continue;
+            }
+
+            if (fs.statSync(sourcePath).isDirectory()) {
+                this.ensureDirectory(targetPath);
+                await this.copyProjectFiles(sourcePath, targetPath, excludeDirs, excludeFiles);
+            } else {
+                await this.copyFile(sourcePath, targetPath);
+            }
+        }
+    }
+
+    copyFile(sourcePath, targetPath) {
+        return this.runCached(`copy:${path.relative(this.outputDir, targetPath)}`, 'meta', [sourcePath], async () => {
+            const context = { stage: 'copy', source: sourcePath, output: targetPath };
+            if (!(await this.plugins.beforeFile(context))) {
+                return true;
+            }
+
+            // Binary files such as images are copied as they are, only text goes through the content hooks
+            const content = fs.readFileSync(sourcePath);
+            let code = null;
+            if ((this.plugins.has('transformSource') || this.plugins.has('beforeWrite')) && !content.includes(0)) {
+                code = await this.plugins.beforeWrite(await this.plugins.transformSource(content.toString('utf8'), context), context);
+            }
+
+            fs.writeFileSync(targetPath, code ?? content);
+            this.recordOperation('copied', targetPath, sourcePath);
+            await this.plugins.afterFile({ ...context, code });
+            return true;
+        });
+    }
+
+    copyDirectory(source, target) {
+        if (!fs.existsSync(target)) {
+            fs.mkdirSync(target, { recursive: true });
+        }
+
+        const items = fs.readdirSync(source);
+        for (const item of items) {
+            const sourcePath = path.join(source, item);
+            const targetPath = path.join(target, item);
+
+            if (fs.statSync(sourcePath).isDirectory()) {
+                this.copyDirectory(sourcePath, targetPath);
+            } else {
+                fs.copyFileSync(sourcePath, targetPath);
+            }
+        }
+    }
+
+    // The template has no TypeScript, so typescript-eslint goes and the React config lints .js/.jsx with JSX parsing
+    convertEslintConfigToJavaScript(content) {
+        const typescriptImport = content.match(/^import\s+(\w+)\s+from\s+['"]typescript-eslint['"];?\n/m);
+        if (typescriptImport) {
+            const name = typescriptImport[1];
+            content = content
+                .replace(typescriptImport[0], '')
+                .replace(new RegExp(`^[ \\t]*\\.\\.\\.${name}\\.configs\\.[\\w.]+,?[ \\t]*\\n`, 'gm'), '');
+        }
+
+        const reactConfig = content.match(/^([ \t]*)\.\.\.react\.configs\.flat\.recommended,\n/m);
+        if (!reactConfig) {
+            this.warnings.push({ file: 'eslint.config.js', message: 'React config not found, files and JSX parsing were not set' });
+            return content;
+        }
+
+        const indent = reactConfig[1];
+        if (/^\s*files:\s*\[[^\]]*\]/m.test(content)) {
+            content = content.replace(/^(\s*)files:\s*\[[^\]]*\]/gm, "$1files: ['**/*.{js,jsx}']");
+        } else {
+            content = content.replace(reactConfig[0], `${indent}files: ['**/*.{js,jsx}'],\n${reactConfig[0]}`);
+        }
+
+        // Without typescript-eslint's scope analysis, no-unused-vars needs the React plugin to see JSX usage
+        if (!content.includes('react/jsx-uses-vars')) {
+            const rulesStart = content.indexOf('rules: {', content.indexOf(reactConfig[0]));
+            if (rulesStart !== -1) {
+                const lineEnd = content.indexOf('\n', rulesStart) + 1;
+                content = `${content.slice(0, lineEnd)}${indent}    'react/jsx-uses-vars': 'error',\n${content.slice(lineEnd)}`;
+            }
+        }
+
+        // The config's own languageOptions replaces the one from react.configs.flat.recommended, which enabled JSX
+        if (!content.includes('ecmaFeatures')) {
+            content = content.replace(/^([ \t]*)languageOptions:\s*\{\n/m, (match, optionsIndent) => {
+                const nested = (level) => optionsIndent + '    '.repeat(level);
+                return (
+                    `${match}${nested(1)}parserOptions: {\n${nested(2)}ecmaFeatures: {\n${nested(3)}jsx: true,\n` +
+                    `${nested(2)}},\n${nested(1)}},\n`
+                );
+            });
+        }
+
+        return content;
+    }
+
+    // Main execution
+    async run() {
+        this.log('🚀 Unified TypeScript to JavaScript Converter Started');
+        this.log(`📂 Source: ${this.sourceDir}`);
+        this.log(`📁 Output: ${this.outputDir}`);
+        this.log(`🧩 Phases: ${PHASES.filter((phase) => this.phases.has(phase)).join(', ')}`);
+        this.log(`📜 Rules: ${this.configFile ? path.relative(this.root, this.configFile) : 'given as an object'}`);
+
+        try {
+            await this.loadConfig();
+        } catch (err) {
+            this.error(`❌ Could not load the conversion config: ${err.message}`);
+            return false;
+        }
+
+        // Validation
+        if (this.phases.has('js')) {
+            if (!this.checkDependencies()) {
+                this.error('❌ Dependencies check failed');
+                return false;
+            }
+            if (!fs.existsSync(this.sourceDir)) {
+                this.error('❌ Source directory not found');
+                return false;
+            }
+        }
+
+        this.loadCache();
+
+        if (this.dryRun) {
+            return this.runDryRun();
+        }
+
+        const success = await this.executePhases();
+
+        // Final steps
+        this.generateStats();
+        this.printWarnings();
+        this.cleanup();
+
+        if (!success) {
+            this.error('\n❌ Conversion finished with errors');
+            return false;
+        }
+
+        this.log('\n✅ Complete JSX template generated successfully');
+        this.log('\n📋 Output directory structure:');
+        this.log('   • Same as laravel/react-starter-kit');
+        this.log('   • resources/js/ contains converted JSX files');
+        this.log('   • resources/views/app.blade.php updated for JSX');
+        this.log('   • vite.config.js (converted from .ts)');
+        this.log('   • package.json updated for JSX template');
+        this.log('   • TypeScript config files removed');
+        this.log('\n🚀 Ready for deployment to template repository!');
+        return true;
+    }
+
+    async executePhases() {
+        // Setup - Clean output directory completely, unless the cache allows an incremental run
+        if (this.clean && !this.incremental && fs.existsSync(this.outputDir)) {
+            fs.rmSync(this.outputDir, { recursive: true, force: true });
+        }
+        this.ensureDirectory(this.outputDir);
+        this.report = new ConversionReport(this.loadAllowlist());
+
+        let success = true;
+
+        if (this.phases.has('meta')) {
+            success = (await this.runMetaPhase()) && success;
+        }
+
+        if (this.phases.has('js')) {
+            success = (await this.runJsPhase()) && success;
+        }
+
+        const firstConfigOperation = this.operations.length;
+        if (this.phases.has('config')) {
+            success = (await this.runConfigPhase()) && success;
+        }
+
+        // Remove temporary files from output
+        const tempFiles = [
+            path.join(this.outputDir, 'tsconfig.temp.json'),
+            path.join(this.outputDir, 'js'), // Remove the separate js directory
+        ];
+
+        for (const tempFile of tempFiles) {
+            if (fs.existsSync(tempFile)) {
+                if (fs.statSync(tempFile).isDirectory()) {
+                    fs.rmSync(tempFile, { recursive: true, force: true });
+                } else {
+                    fs.rmSync(tempFile);
+                }
+                this.debug(`   🗑️  Removed temporary: ${path.basename(tempFile)}`);
+            }
+        }
+
+        if (this.format) {
+            await this.formatOutputs(firstConfigOperation);
+        }
+
+        if (this.phases.has('js') && !this.dryRun) {
+            this.writeReport();
+        }
+
+        // Only a complete template is a release
+        if (success && this.phases.size === PHASES.length) {
+            success = this.writeTemplateRelease();
+        }
+        success = this.writeManifest() && success;
+
+        try {
+            await this.plugins.onComplete({ success, outputDir: this.outputDir, operations: this.operations });
+        } catch (err) {
+            this.error(`❌ ${err.message}`);
+            success = false;
+        }
+
+        // A failed run keeps the previous cache, so whatever it left half done is converted again
+        if (success && !this.dryRun) {
+            this.cache.save(this.outputDir);
+        }
+
+        return success;
+    }
+
+    // Dry run
+    /**
+     * Runs every selected phase against a throwaway staging directory and
+     * reports what a real run would do to the output directory, without
+     * touching it. Rewritten files come with a unified diff.
+     */
+    async runDryRun() {
+        const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsx-conversion-'));
+        const quiet = this.quiet;
+
+        this.setOutputDir(stagingDir);
+        this.quiet = quiet || !this.verbose;
+
+        let success;
+        try {
+            // The staging directory starts empty, so non-clean and incremental runs start from the current output
+            if ((!this.clean || this.incremental) && fs.existsSync(this.destinationDir)) {
+                this.copyDirectory(this.destinationDir, stagingDir);
+            }
+            this.operations = [];
+            success = await this.executePhases();
+            this.cleanup();
+        } finally {
+            this.quiet = quiet;
+            this.setOutputDir(this.destinationDir);
+        }
+
+        const operations = this.operations
+            .map((operation) => ({ ...operation, target: path.relative(stagingDir, operation.target) }))
+            .filter((operation) => !operation.target.startsWith('..'));
+
+        if (this.clean && !this.incremental) {
+            const staged = new Set(operations.map((operation) => operation.target));
+            for (const file of this.listFiles(this.destinationDir)) {
+                if (!fs.existsSync(path.join(stagingDir, file)) && !staged.has(file)) {
+                    operations.push({ action: 'deleted', target: file, source: null });
+                }
+            }
+        }
+
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+
+        const plan = this.summarizePlan(operations);
+        this.plan = plan;
+        if (this.json) {
+            console.log(JSON.stringify(plan, null, 2));
+        } else {
+            this.printPlan(plan);
+        }
+
+        return success;
+    }
+
+    // Watch mode
+    /**
+     * Converts once, then keeps the output in sync with the sources and the
+     * config files the config phase reads. Changes are batched and every
+     * batch reruns the affected phases incrementally, so only the changed
+     * files are converted and files removed or renamed away are pruned.
+     * Resolves when the process receives SIGINT or SIGTERM.
+     */
+    async watch() {
+        const selectedPhases = new Set(this.phases);
+        const initialSuccess = await this.run();
+        const configInputs = new Set(this.configSteps().map(([input]) => path.resolve(this.root, input)));
+        const pending = new Set();
+        let timer = null;
+        let running = Promise.resolve();
+
+        const schedule = (file) => {
+            pending.add(file);
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                const batch = [...pending];
+                pending.clear();
+                running = running.then(() => this.convertChanges(batch, selectedPhases));
+            }, WATCH_DEBOUNCE_MS);
+        };
+
+        const watchers = [];
+        if (selectedPhases.has('js')) {
+            watchers.push(
+                this.watchTree(this.sourceDir, (file) => {
+                    if (!path.basename(file).startsWith('.') && !file.endsWith('~')) {
+                        schedule(file);
+                    }
+                }),
+            );
+        }
+        if (selectedPhases.has('config')) {
+            // Directories rather than files, so editors that save by renaming are noticed too
+            for (const dir of new Set([...configInputs].map((input) => path.dirname(input)))) {
+                watchers.push(
+                    fs.watch(dir, (event, fileName) => {
+                        const file = path.join(dir, fileName ?? '');
+                        if (configInputs.has(file)) {
+                            schedule(file);
+                        }
+                    }),
+                );
+            }
+        }
+
+        this.log(`\n👀 Watching ${path.relative(this.root, this.sourceDir)} and config files for changes (Ctrl+C to stop)...`);
+
+        await new Promise((resolve) => {
+            const stop = () => {
+                process.off('SIGINT', stop);
+                process.off('SIGTERM', stop);
+                clearTimeout(timer);
+                watchers.forEach((watcher) => watcher.close());
+                running.then(resolve);
+            };
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+        });
+
+        this.log('\n👋 Stopped watching');
+        return initialSuccess;
+    }
+
+    /**
+     * Calls `listener` with the path of every change below `root`. Recursive
+     * `fs.watch` needs Node 20 on Linux, so older versions get one watcher per
+     * directory, added and closed as directories come and go.
+     */
+    watchTree(root, listener) {
+        if (process.platform !== 'linux' || Number(process.versions.node.split('.')[0]) >= 20) {
+            return fs.watch(root, { recursive: true }, (event, fileName) => {
+                if (fileName) {
+                    listener(path.join(root, fileName));
+                }
+            });
+        }
+
+        const watchers = new Map();
+        const watchDir = (dir) => {
+            if (watchers.has(dir)) {
+                return;
+            }
+            watchers.set(
+                dir,
+                fs.watch(dir, (event, fileName) => {
+                    // A removed directory reports its own removal under its name
+                    if (!fs.existsSync(dir)) {
+                        return;
+                    }
+                    const file = path.join(dir, fileName ?? '');
+                    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+                        watchDir(file);
+                    } else if (watchers.has(file)) {
+                        for (const [watched, watcher] of watchers) {
+                            if (watched === file || watched.startsWith(`${file}${path.sep}`)) {
+                                watcher.close();
+                                watchers.delete(watched);
+                            }
+                        }
+                    }
+                    if (fileName) {
+                        listener(file);
+                    }
+                }),
+            );
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (entry.isDirectory()) {
+                    watchDir(path.join(dir, entry.name));
+                }
+            }
+        };
+        watchDir(root);
+
+        return { close: () => watchers.forEach((watcher) => watcher.close()) };
+    }
+
+    async convertChanges(files, selectedPhases) {
+        const phases = files.map((file) => (this.isInside(this.sourceDir, file) ? 'js' : 'config'));
+        const quiet = this.quiet;
+        const startedAt = Date.now();
+
+        this.phases = new Set(phases.filter((phase) => selectedPhases.has(phase)));
+        this.clean = false;
+        this.operations = [];
+        this.warnings = [];
+        this.convertedFiles = new Map();
+        this.quiet = true;
+
+        let success;
+        try {
+            this.loadCache();
+            success = await this.executePhases();
+        } catch (err) {
+            this.error(`❌ ${err.message}`);
+            success = false;
+        } finally {
+            this.cleanup();
+            this.quiet = quiet;
+        }
+
+        const time = new Date().toTimeString().slice(0, 8);
+        const changed = files.map((file) => path.relative(this.root, file)).join(', ');
+        const elapsed = `${Date.now() - startedAt}ms`;
+
+        if (!success) {
+            this.log(`[${time}] ❌ ${changed}: conversion failed (${elapsed})`);
+            return;
+        }
+        if (this.operations.length === 0) {
+            this.log(`[${time}] ⏭️  ${changed}: output unchanged (${elapsed})`);
+            return;
+        }
+
+        for (const operation of this.operations) {
+            const from = operation.source ? ` ← ${path.relative(this.root, operation.source)}` : '';
+            const icon = operation.action === 'deleted' ? '🗑️ ' : '✅';
+            this.log(`[${time}] ${icon} ${operation.action} ${path.relative(this.outputDir, operation.target)}${from} (${elapsed})`);
+        }
+        this.printWarnings();
+    }
+
+    isInside(dir, file) {
+        const relative = path.relative(dir, file);
+        return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    listFiles(dir) {
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        return glob.sync('**/*', { cwd: dir, nodir: true, dot: true, ignore: ['.git/**'] });
+    }
+
+    summarizePlan(operations) {
+        // Later operations win: a file copied by the meta phase and then rewritten is reported as rewritten
+        const byTarget = new Map();
+        for (const operation of operations) {
+            byTarget.delete(operation.target);
+            byTarget.set(operation.target, {
+                ...operation,
+                source: operation.source ? path.relative(this.root, operation.source) : null,
+            });
+        }
+
+        // Files created and removed again within the run never reach the real output
+        const ordered = [...byTarget.values()]
+            .filter((operation) => operation.action !== 'deleted' || fs.existsSync(path.join(this.destinationDir, operation.target)))
+            .sort((a, b) => a.target.localeCompare(b.target));
+        const summary = Object.fromEntries(OPERATIONS.map((action) => [action, ordered.filter((operation) => operation.action === action).length]));
+
+        return {
+            source: path.relative(this.root, this.sourceDir),
+            output: path.relative(this.root, this.destinationDir),
+            phases: PHASES.filter((phase) => this.phases.has(phase)),
+            clean: this.clean,
+            operations: ordered,
+            summary,
+        };
+    }
+
+    /**
+     * Formats what this run converted: the modules under resources/js and the
+     * files the config rules rewrote. Copied files and the lockfile npm
+     * regenerates stay as they were written, and files Prettier cannot parse
+     * are reported as warnings.
+     */
+    async formatOutputs(firstConfigOperation) {
+        const outputResourcesJs = path.join(this.outputDir, 'resources/js');
+        const operations = this.operations.filter(
+            (operation, index) =>
+                operation.action !== 'deleted' &&
+                operation.action !== 'copied' &&
+                ((index >= firstConfigOperation && operation.diff !== undefined) || (this.isInside(outputResourcesJs, operation.target) && /\.jsx?$/.test(operation.target))) &&
+                fs.existsSync(operation.target),
+        );
+        const files = [...new Set(operations.map((operation) => operation.target))];
+        if (files.length === 0) {
+            return;
+        }
+
+        this.log('\n💅 Formatting output with Prettier...');
+        const { formatted, failed } = await new OutputFormatter({ outputDir: this.outputDir, root: this.root }).format(files);
+
+        // Diffs of rewritten files show what the template finally gets
+        for (const operation of operations) {
+            if (operation.diff !== undefined && formatted.includes(operation.target)) {
+                operation.diff = createUnifiedDiff(
+                    fs.readFileSync(operation.source, 'utf8'),
+                    fs.readFileSync(operation.target, 'utf8'),
+                    `a/${path.relative(this.root, operation.source)}`,
+                    `b/${path.relative(this.outputDir, operation.target)}`,
+                );
+            }
+        }
+        for (const { file, message } of failed) {
+            this.warnings.push({ file: path.relative(this.outputDir, file), message: `Prettier could not parse it: ${message}` });
+        }
+        this.log(`   ✅ Formatted ${formatted.length} of ${files.length} file(s)${failed.length > 0 ? `, ${failed.length} could not be parsed` : ''}`);
+    }
+
+    // Project structure, workflows and README
+    async runMetaPhase() {
+        // Copy entire project structure first
+        await this.copyProjectStructure();
+
+        // Copy workflow files selectively
+        await this.copyWorkflowFiles();
+
+        let success = true;
+        for (const entry of this.config.generate) {
+            const inputs = [entry.file, ...(entry.template ? [entry.template] : [])];
+            success = (await this.runCached(`meta:${entry.file}`, 'meta', inputs, () => this.generateFile(entry))) && success;
+        }
+        this.pruneStaleOutputs('meta');
+        return success;
+    }
+
+    // resources/js conversion
+    async runJsPhase() {
+        this.ensureDirectory(this.jsOutputDir);
+        this.reportWayfinder();
+
+        // Convert TypeScript files
+        this.log('\n🔄 Converting TypeScript files...');
+        if (!(await this.convertTypeScriptFiles())) {
+            this.error('❌ TypeScript conversion failed');
+            return false;
+        }
+
+        // Process JavaScript files
+        this.log('\n🧹 Processing JavaScript files...');
+        await this.processJavaScriptFiles();
+        await this.updateFileReferences();
+
+        // Replace resources/js in output with converted JSX files; incremental runs only bring the changed ones
+        const outputResourcesJs = path.join(this.outputDir, 'resources/js');
+        const incremental = this.incremental && this.mode === 'strip';
+        if (incremental) {
+            this.log('\n🔄 Updating resources/js with converted JSX files...');
+        } else {
+            this.log('\n🔄 Replacing resources/js with converted JSX files...');
+            if (fs.existsSync(outputResourcesJs)) {
+                fs.rmSync(outputResourcesJs, { recursive: true, force: true });
+            }
+        }
+        this.copyDirectory(this.jsOutputDir, outputResourcesJs);
+
+        if (this.mode === 'strip') {
+            for (const [file, { key, inputs, rewrites = [] }] of this.convertedFiles) {
+                this.updateCacheEntry(key, 'js', inputs, [this.outputKey(file)], rewrites.length > 0 ? { rewrites } : {});
+            }
+            this.pruneStaleOutputs('js');
+        }
+
+        // Remove types directory from output unless it now holds the JSDoc typedefs
+        const typesDir = path.join(outputResourcesJs, 'types');
+        if (fs.existsSync(typesDir) && !(this.mode === 'strip' && this.jsdoc)) {
+            fs.rmSync(typesDir, { recursive: true, force: true });
+            this.log('   🗑️  Removed: resources/js/types directory');
+        }
+
+        return this.checkResidualTypeScript(outputResourcesJs);
+    }
+
+    // The rules of the conversion config; each reruns only when the project files it reads changed
+    configSteps() {
+        return this.expandRules().map((rule) => [rule.file, () => this.applyRule(rule), this.ruleInputs(rule)]);
+    }
+
+    // Generated Wayfinder modules are plain TypeScript under resources/js and go through the regular conversion
+    reportWayfinder() {
+        const viteConfig = path.join(this.root, 'vite.config.ts');
+        const plugin = fs.existsSync(viteConfig) && fs.readFileSync(viteConfig, 'utf8').includes('@laravel/vite-plugin-wayfinder');
+        const generated = WAYFINDER_DIRS.filter((dir) => fs.existsSync(path.join(this.sourceDir, dir)));
+
+        if (generated.length > 0) {
+            this.log(`🧭 Wayfinder: converting generated modules in ${generated.join(', ')}`);
+        } else if (plugin) {
+            this.log('🧭 Wayfinder: no generated modules found, the template generates them as JavaScript');
+        }
+    }
+
+    async runConfigPhase() {
+        this.log('\n⚙️  Converting configuration files...');
+
+        let success = true;
+        for (const [input, step, extraInputs = []] of this.configSteps()) {
+            try {
+                success = (await this.runCached(`config:${input}`, 'config', [input, ...extraInputs], step)) && success;
+            } catch (err) {
+                this.error(`   ❌ ${err.message}`);
+                success = false;
+            }
+        }
+
+        return success;
+    }
+
+    printPlan(plan) {
+        this.log(`\n📝 Dry run: no files were written to ${plan.output}`);
+
+        for (const action of OPERATIONS) {
+            const operations = plan.operations.filter((operation) => operation.action === action);
+            if (operations.length === 0) {
+                continue;
+            }
+
+            this.log(`\n${action[0].toUpperCase()}${action.slice(1)} (${operations.length}):`);
+            for (const operation of operations) {
+                const from = operation.source && action !== 'copied' ? ` ← ${operation.source}` : '';
+                this.log(`   • ${operation.target}${from}`);
+            }
+        }
+
+        const diffs = plan.operations.filter((operation) => operation.diff);
+        if (diffs.length > 0) {
+            this.log('\n🔍 Changes to rewritten files:\n');
+            this.log(diffs.map((operation) => operation.diff).join('\n'));
+        }
+
+        const totals = OPERATIONS.filter((action) => plan.summary[action] > 0).map((action) => `${plan.summary[action]} ${action}`);
+        this.log(`📊 Plan: ${totals.length > 0 ? totals.join(', ') : 'nothing to do'}`);
+    }
+}
+
+/**
+ * Converts a TypeScript starter kit into the JSX template. Takes the
+ * UnifiedConverter options and runs quietly unless told otherwise, e.g.
+ *
+ *     const { success, files, warnings, errors } = await convert({ root: 'fixtures/kit', out: 'tmp/kit', rules: { rules: [] } });
+ *
+ * Exceptions are reported in `errors` rather than thrown.
+ *
+ * @returns {Promise<{ success: boolean, root: string, output: string, files: { action: string, file: string, source: string|null }[],
+ *   warnings: { file: string, message: string }[], errors: string[], stats: object|null, plan?: object }>}
+ */
+export async function convert(options = {}) {
+    const converter = new UnifiedConverter({ quiet: true, ...options });
+    let success;
+    try {
+        success = await converter.run();
+    } catch (err) {
+        converter.error(`❌ ${err.message}`);
+        converter.cleanup();
+        success = false;
+    }
+    return converter.result(success);
+}
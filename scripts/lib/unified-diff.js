@@ -0,0 +1,164 @@
+/**
+ * Line-based unified diff (Myers' O(ND) algorithm), so the converter can show
+ * what a rewrite changes without depending on an external diff package.
+ */
+export function createUnifiedDiff(oldText, newText, oldLabel, newLabel, context = 3) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+    const edits = diffLines(oldLines, newLines);
+
+    if (edits.every((edit) => edit.type === 'equal')) {
+        return '';
+    }
+
+    const hunks = buildHunks(edits, context);
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+    for (const hunk of hunks) {
+        output.push(`@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`);
+        for (const edit of hunk.edits) {
+            const prefix = edit.type === 'insert' ? '+' : edit.type === 'delete' ? '-' : ' ';
+            output.push(`${prefix}${edit.line}`);
+        }
+    }
+
+    return `${output.join('\n')}\n`;
+}
+
+function splitLines(text) {
+    if (text === '') {
+        return [];
+    }
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+function diffLines(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Array(2 * max + 2).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                return backtrack(trace, a, b, offset);
+            }
+        }
+    }
+
+    return [];
+}
+
+function backtrack(trace, a, b, offset) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+        const previousX = v[offset + previousK];
+        const previousY = previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            edits.unshift({ type: 'equal', line: a[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === previousX) {
+                edits.unshift({ type: 'insert', line: b[y - 1] });
+            } else {
+                edits.unshift({ type: 'delete', line: a[x - 1] });
+            }
+        }
+
+        x = previousX;
+        y = previousY;
+    }
+
+    return edits;
+}
+
+function buildHunks(edits, context) {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let current = null;
+    let trailingEqual = 0;
+
+    edits.forEach((edit, index) => {
+        if (edit.type === 'equal') {
+            if (current) {
+                const nextChange = edits.findIndex((candidate, i) => i > index && candidate.type !== 'equal');
+                if (nextChange !== -1 && nextChange - index <= context * 2) {
+                    current.edits.push(edit);
+                } else if (trailingEqual < context) {
+                    current.edits.push(edit);
+                    trailingEqual++;
+                } else {
+                    hunks.push(current);
+                    current = null;
+                }
+            }
+        } else {
+            if (!current) {
+                const leading = [];
+                for (let i = index - 1; i >= 0 && leading.length < context && edits[i].type === 'equal'; i--) {
+                    leading.unshift(edits[i]);
+                }
+                current = {
+                    oldStart: oldLine - leading.length,
+                    newStart: newLine - leading.length,
+                    edits: leading,
+                };
+            }
+            current.edits.push(edit);
+            trailingEqual = 0;
+        }
+
+        if (edit.type !== 'insert') {
+            oldLine++;
+        }
+        if (edit.type !== 'delete') {
+            newLine++;
+        }
+    });
+
+    if (current) {
+        hunks.push(current);
+    }
+
+    for (const hunk of hunks) {
+        hunk.oldCount = hunk.edits.filter((edit) => edit.type !== 'insert').length;
+        hunk.newCount = hunk.edits.filter((edit) => edit.type !== 'delete').length;
+    }
+
+    return hunks;
+}
+
+function formatRange(start, count) {
+    if (count === 0) {
+        return `${start - 1},0`;
+    }
+    return count === 1 ? `${start}` : `${start},${count}`;
+}
@@ -1,14 +1,43 @@
 #!/usr/bin/env node
 
 import { execSync } from 'child_process';
+import { Linter } from 'eslint';
 import fs from 'fs';
+import { globSync } from 'glob';
+import os from 'node:os';
 import path from 'path';
 import process from 'node:process';
+import { parseArgs } from 'node:util';
+import { build as viteBuild, loadConfigFromFile } from 'vite';
+import { layoutProps, pageProps, sharedData } from './fixtures/inertia-props.js';
+import { typeStripperCases } from './fixtures/type-stripper-cases.js';
+import { ConversionManifest, MANIFEST_FILE, blobHash } from './lib/conversion-manifest.js';
+import { DependencyPruner } from './lib/dependency-pruner.js';
+import { DriftChecker } from './lib/drift-checker.js';
+import { RenderParity, wayfinderStubs } from './lib/render-parity.js';
+import { ResidualTypeScriptDetector } from './lib/residual-ts-detector.js';
+import { TemplateRelease, VERSION_FILE } from './lib/template-release.js';
+import { TypeStripper } from './lib/type-stripper.js';
+import { createUnifiedDiff } from './lib/unified-diff.js';
+
+// Wayfinder writes these under resources/js while Vite builds, from the Laravel routes
+const WAYFINDER_DIRS = ['actions', 'routes', 'wayfinder'];
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.json'];
+const CHECKS = ['prerequisites', 'structure', 'stripper', 'diff', 'pruner', 'manifest', 'drift', 'release', 'impact', 'conversion', 'build', 'parity', 'components'];
 
 class WorkflowTester {
-    constructor() {
+    constructor({ parityOnly = false } = {}) {
         this.projectRoot = path.resolve('.');
         this.outputDir = path.resolve('output');
+        this.parityOnly = parityOnly;
+        this.parityResults = [];
+        // Outcome of every check for the report, 'not run' until it runs
+        this.summary = Object.fromEntries(CHECKS.map((check) => [check, 'not run']));
+    }
+
+    record(check, passed) {
+        this.summary[check] = passed ? 'passed' : 'failed';
+        return passed;
     }
 
     log(message, type = 'info') {
@@ -101,7 +130,8 @@ class WorkflowTester {
             'resources/js/ssr.tsx',
             'vite.config.ts',
             'resources/views/app.blade.php',
-            'scripts/run-conversion.js'
+            'scripts/run-conversion.js',
+            'scripts/lib/unified-converter.js'
         ];
 
         const requiredDirs = [
@@ -136,6 +166,253 @@ class WorkflowTester {
         return allExists;
     }
 
+    /**
+     * Strips the fixture snippets and compares them with the JavaScript they
+     * must become and the constructs reported as unsupported. Output without
+     * unsupported constructs must also pass the residual TypeScript detector.
+     */
+    testTypeStripper() {
+        this.log('Testing type stripper cases...', 'step');
+
+        const detector = new ResidualTypeScriptDetector();
+        let allPassed = true;
+
+        for (const testCase of typeStripperCases) {
+            const { code, unsupported } = new TypeStripper(testCase.options).strip(testCase.source, testCase.file);
+            const expectedUnsupported = testCase.unsupported ?? [];
+            const reported = unsupported.map(({ construct }) => construct);
+            const residual = expectedUnsupported.length === 0 ? detector.scan(code, testCase.file.replace(/\.ts(x?)$/, '.js$1')) : [];
+            const problems = [];
+
+            if (code !== testCase.expected) {
+                problems.push('unexpected output');
+            }
+            if (reported.join() !== expectedUnsupported.join()) {
+                problems.push(`reported unsupported [${reported.join(', ')}], expected [${expectedUnsupported.join(', ')}]`);
+            }
+            if (residual.length > 0) {
+                problems.push(`residual TypeScript: ${residual.map(({ construct, line }) => `${construct} (line ${line})`).join(', ')}`);
+            }
+
+            if (problems.length === 0) {
+                this.log(`${testCase.name}: OK`, 'success');
+            } else {
+                this.log(`${testCase.name}: ${problems.join('; ')}`, 'error');
+                if (code !== testCase.expected) {
+                    console.log(createUnifiedDiff(testCase.expected, code, 'expected', 'stripped'));
+                }
+                allPassed = false;
+            }
+        }
+
+        return allPassed;
+    }
+
+    // Compares what a check got with what it expects and logs the outcome
+    expectEqual(name, actual, expected) {
+        if (JSON.stringify(actual) === JSON.stringify(expected)) {
+            this.log(`${name}: OK`, 'success');
+            return true;
+        }
+        this.log(`${name}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`, 'error');
+        return false;
+    }
+
+    // Runs `check` with a scratch directory that is removed afterwards
+    withScratchDir(check) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsx-workflow-check-'));
+        try {
+            return check(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    writeFiles(dir, files) {
+        for (const [file, content] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+            fs.writeFileSync(path.join(dir, file), content);
+        }
+    }
+
+    testUnifiedDiff() {
+        this.log('Testing unified diff...', 'step');
+
+        return [
+            this.expectEqual('identical texts', createUnifiedDiff('a\nb\n', 'a\nb\n', 'old', 'new'), ''),
+            this.expectEqual(
+                'changed line with context',
+                createUnifiedDiff('a\nb\nc\nd\ne\nf\ng\n', 'a\nb\nc\nD\ne\nf\ng\n', 'old', 'new', 1),
+                '--- old\n+++ new\n@@ -3,3 +3,3 @@\n c\n-d\n+D\n e\n'
+            ),
+            this.expectEqual('added lines', createUnifiedDiff('', 'x\ny\n', 'old', 'new'), '--- old\n+++ new\n@@ -0,0 +1,2 @@\n+x\n+y\n')
+        ].every(Boolean);
+    }
+
+    /**
+     * Prunes scripts with quoted separators, pipes and `||` fallbacks, and
+     * checks that only TypeScript tooling steps go and only arguments naming
+     * converted files are rewritten.
+     */
+    testDependencyPruner() {
+        this.log('Testing package.json script pruning...', 'step');
+
+        const converted = { 'resources/js/app.ts': 'resources/js/app.js', 'resources/js/ssr.tsx': 'resources/js/ssr.jsx' };
+        const pruner = new DependencyPruner({}, { convertedName: (argument) => converted[argument] ?? null });
+        const scripts = {
+            types: 'tsc --noEmit',
+            check: 'npm run types && eslint .',
+            fallback: 'vue-tsc --noEmit || exit 1; vite build',
+            piped: 'tsc --noEmit | tee types.log && echo "done && tsc"',
+            quoted: "echo 'tsc; vue-tsc'  &&  eslint scripts/tool.ts resources/js/app.ts",
+            ssr: 'npx tsx resources/js/ssr.tsx',
+            seed: 'tsx scripts/seed.ts'
+        };
+        pruner.pruneScripts(scripts);
+
+        return this.expectEqual('pruned scripts', scripts, {
+            check: 'eslint .',
+            fallback: 'vite build',
+            piped: 'echo "done && tsc"',
+            quoted: "echo 'tsc; vue-tsc'  &&  eslint scripts/tool.ts resources/js/app.js",
+            ssr: 'node resources/js/ssr.jsx',
+            seed: 'tsx scripts/seed.ts'
+        });
+    }
+
+    /**
+     * Records a full run, then an incremental run that only converts one file
+     * and renames it, and checks that the manifest carries the untouched
+     * entries over and follows the rename back to the project file.
+     */
+    testConversionManifest() {
+        this.log('Testing conversion manifest...', 'step');
+
+        return this.withScratchDir((dir) => {
+            const root = path.join(dir, 'project');
+            const outputDir = path.join(dir, 'output');
+            this.writeFiles(root, { 'a.ts': 'export const a = 1;\n', 'b.ts': 'export const b = 2;\n', 'README.md': '# Project\n' });
+            this.writeFiles(outputDir, { 'a.js': 'export const a = 1;\n', 'b.js': 'export const b = 2;\n', 'README.md': '# Project\n' });
+
+            const first = ConversionManifest.load({ outputDir, root });
+            first.record([
+                { action: 'compiled', target: path.join(outputDir, 'a.js'), source: path.join(root, 'a.ts') },
+                { action: 'compiled', target: path.join(outputDir, 'b.js'), source: path.join(root, 'b.ts') }
+            ]);
+            first.reconcile();
+            first.write();
+
+            this.writeFiles(root, { 'a.ts': 'export const a = <div />;\n' });
+            this.writeFiles(outputDir, { 'a.js': 'export const a = <div />;\n' });
+            fs.renameSync(path.join(outputDir, 'a.js'), path.join(outputDir, 'a.jsx'));
+
+            const second = ConversionManifest.load({ outputDir, root });
+            second.record([
+                { action: 'compiled', target: path.join(outputDir, 'a.js'), source: path.join(root, 'a.ts') },
+                { action: 'renamed', target: path.join(outputDir, 'a.jsx'), source: path.join(outputDir, 'a.js') }
+            ]);
+            second.reconcile();
+            second.write();
+
+            const { files } = ConversionManifest.read(outputDir);
+            const provenance = Object.fromEntries(Object.entries(files).map(([file, { operation, source }]) => [file, { operation, source }]));
+            return [
+                this.expectEqual('entries after an incremental run', provenance, {
+                    'README.md': { operation: 'copied', source: 'README.md' },
+                    'a.jsx': { operation: 'renamed', source: 'a.ts' },
+                    'b.js': { operation: 'compiled', source: 'b.ts' }
+                }),
+                this.expectEqual('hashes follow the current content', files['a.jsx'].outputHash, blobHash(fs.readFileSync(path.join(outputDir, 'a.jsx')))),
+                this.expectEqual('unchanged manifest is not rewritten', second.write(), false)
+            ].every(Boolean);
+        });
+    }
+
+    /**
+     * Publishes an output with its manifest as the template, then changes the
+     * output (upstream) and the template (by hand) and checks how every
+     * difference is classified.
+     */
+    testDriftChecker() {
+        this.log('Testing template drift classification...', 'step');
+
+        return this.withScratchDir((dir) => {
+            const root = path.join(dir, 'project');
+            const outputDir = path.join(dir, 'output');
+            const template = path.join(dir, 'template');
+            const files = { 'app.js': 'app();\n', 'page.js': 'page();\n', 'util.js': 'util();\n' };
+            this.writeFiles(root, files);
+            this.writeFiles(outputDir, files);
+
+            const manifest = ConversionManifest.load({ outputDir, root });
+            manifest.reconcile();
+            manifest.write();
+            fs.cpSync(outputDir, template, { recursive: true });
+
+            // Upstream changes app.js; the template gets page.js edited and notes.md added by hand
+            this.writeFiles(root, { 'app.js': 'app(2);\n' });
+            this.writeFiles(outputDir, { 'app.js': 'app(2);\n' });
+            const current = ConversionManifest.load({ outputDir, root });
+            current.reconcile();
+            current.write();
+            this.writeFiles(template, { 'page.js': 'page("edited");\n', 'notes.md': 'Manual notes\n' });
+
+            const report = new DriftChecker({ template, output: outputDir }).check();
+            fs.rmSync(path.join(template, MANIFEST_FILE));
+            const withoutManifest = new DriftChecker({ template, output: outputDir }).check();
+
+            return [
+                this.expectEqual('expected changes', report.expected.map(({ file, status }) => ({ file, status })), [{ file: 'app.js', status: 'modified' }]),
+                this.expectEqual('manual edits', report.manual, [
+                    { file: 'notes.md', status: 'deleted', edit: 'added in the template' },
+                    { file: 'page.js', status: 'modified', edit: 'edited in the template' }
+                ]),
+                this.expectEqual('template without manifest', withoutManifest.unclassified, [
+                    { file: 'app.js', status: 'modified' },
+                    { file: 'notes.md', status: 'deleted' },
+                    { file: 'page.js', status: 'modified' }
+                ])
+            ].every(Boolean);
+        });
+    }
+
+    // Versions of a release against a previous template at 1.0.0, by what changed
+    testTemplateRelease() {
+        this.log('Testing template release versions...', 'step');
+
+        return this.withScratchDir((dir) => {
+            const outputDir = path.join(dir, 'output');
+            const previous = path.join(dir, 'previous');
+            this.writeFiles(previous, { 'app.js': 'app();\n', [VERSION_FILE]: JSON.stringify({ version: '1.0.0' }) });
+            this.writeFiles(outputDir, { 'app.js': 'app();\n' });
+
+            const plan = (upstreamTag) => {
+                const { version, changed } = new TemplateRelease({ outputDir, previous, upstreamTag }).plan();
+                return { version, changed };
+            };
+            const unchanged = plan('v1.1.0');
+            this.writeFiles(outputDir, { 'app.js': 'app(2);\n' });
+
+            return [
+                this.expectEqual('unchanged output keeps the version', unchanged, { version: '1.0.0', changed: false }),
+                this.expectEqual('newer upstream release', plan('v1.1.0'), { version: '1.1.0', changed: true }),
+                this.expectEqual('template-only change bumps the patch', plan('v1.0.0'), { version: '1.0.1', changed: true }),
+                this.expectEqual('first release follows upstream', new TemplateRelease({ outputDir, upstreamTag: 'v2.0.0' }).plan().version, '2.0.0')
+            ].every(Boolean);
+        });
+    }
+
+    // Converting the same ref on both sides must find no changes at all
+    async testImpactReport() {
+        const result = await this.runCommand('node scripts/impact-report.js HEAD HEAD --json --quiet', 'Running impact report for HEAD..HEAD');
+        if (!result.success) {
+            return false;
+        }
+
+        const { upstream, template, attention } = JSON.parse(result.output);
+        return this.expectEqual('no upstream changes, no template impact', { upstream, template, attention }, { upstream: [], template: [], attention: [] });
+    }
+
     async testConversion() {
         this.log('Testing TypeScript to JSX conversion...', 'step');
         
@@ -248,12 +525,14 @@ class WorkflowTester {
             this.log('Could not verify package.json changes', 'warning');
         }
 
-        // Check that types directory is removed
+        // Check that declaration files were replaced by JSDoc typedefs
         const typesDir = path.resolve('output/resources/js/types');
         if (!fs.existsSync(typesDir)) {
-            this.log('Types directory correctly removed from output', 'success');
+            this.log('Types directory removed from output (JSDoc typedefs disabled)', 'info');
+        } else if (this.countFilesRecursive(typesDir, ['.ts']) > 0) {
+            this.log('TypeScript declaration files still exist in output/resources/js/types', 'warning');
         } else {
-            this.log('Types directory still exists in output', 'warning');
+            this.log('JSDoc typedef modules generated in output/resources/js/types', 'success');
         }
 
         return allValid;
@@ -282,6 +561,292 @@ class WorkflowTester {
         return count;
     }
 
+    /**
+     * Checks that the converted template actually works as JavaScript: every
+     * output .js/.jsx file parses without TypeScript support, every relative
+     * and `@/` import resolves inside the output tree and Vite can build both
+     * the client and the SSR bundle. Records 'passed' or 'failed' as the
+     * build status.
+     */
+    async verifyTemplateBuild() {
+        this.log('Verifying converted template builds...', 'step');
+
+        const jsDir = path.join(this.outputDir, 'resources/js');
+        const files = globSync('**/*.{js,jsx}', { cwd: jsDir, absolute: true, nodir: true }).sort();
+        files.push(path.join(this.outputDir, 'vite.config.js'));
+
+        const parsed = this.parseOutputFiles(files);
+        const importsResolve = parsed.success && this.verifyOutputImports(parsed.modules, jsDir);
+        const build = parsed.success ? await this.buildOutput(jsDir) : 'failed';
+
+        this.summary.build = parsed.success && importsResolve ? build : 'failed';
+        return this.summary.build !== 'failed';
+    }
+
+    // Parses with espree, which knows JSX but no TypeScript, so leftover type syntax is a parse error
+    parseOutputFiles(files) {
+        const linter = new Linter({ configType: 'flat' });
+        const config = {
+            languageOptions: {
+                ecmaVersion: 'latest',
+                sourceType: 'module',
+                parserOptions: { ecmaFeatures: { jsx: true } }
+            }
+        };
+
+        const modules = [];
+        let success = true;
+
+        for (const file of files) {
+            const relative = path.relative(this.outputDir, file);
+            const [fatal] = linter.verify(fs.readFileSync(file, 'utf8'), config).filter((message) => message.fatal);
+            if (fatal) {
+                this.log(`Parse error in ${relative}:${fatal.line}:${fatal.column} ${fatal.message}`, 'error');
+                success = false;
+                continue;
+            }
+            modules.push({ file, specifiers: this.collectImports(linter.getSourceCode().ast) });
+        }
+
+        if (success) {
+            this.log(`Parsed ${files.length} output files as plain JavaScript`, 'success');
+        }
+
+        return { success, modules };
+    }
+
+    // Static imports, re-exports, literal dynamic imports and import.meta.glob patterns
+    collectImports(node, specifiers = []) {
+        if (!node || typeof node.type !== 'string') {
+            return specifiers;
+        }
+
+        if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration', 'ImportExpression'].includes(node.type)) {
+            if (node.source?.type === 'Literal' && typeof node.source.value === 'string') {
+                specifiers.push({ value: node.source.value, line: node.loc.start.line, glob: false });
+            }
+        } else if (
+            node.type === 'CallExpression' &&
+            node.callee.type === 'MemberExpression' &&
+            node.callee.object.type === 'MetaProperty' &&
+            node.callee.property.name === 'glob' &&
+            node.arguments[0]?.type === 'Literal'
+        ) {
+            specifiers.push({ value: node.arguments[0].value, line: node.loc.start.line, glob: true });
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'parent') {
+                continue;
+            }
+            for (const child of Array.isArray(value) ? value : [value]) {
+                if (child && typeof child === 'object') {
+                    this.collectImports(child, specifiers);
+                }
+            }
+        }
+
+        return specifiers;
+    }
+
+    verifyOutputImports(modules, jsDir) {
+        let checked = 0;
+        let generated = 0;
+        let success = true;
+
+        for (const { file, specifiers } of modules) {
+            for (const specifier of specifiers) {
+                const target = this.importTarget(file, specifier.value, jsDir);
+                if (!target) {
+                    continue;
+                }
+
+                checked++;
+                const found = specifier.glob
+                    ? globSync(path.relative(path.dirname(file), target).split(path.sep).join('/'), { cwd: path.dirname(file) }).length > 0
+                    : this.resolveImport(target) !== null;
+                if (found) {
+                    continue;
+                }
+
+                // Wayfinder modules only exist once `php artisan wayfinder:generate` ran
+                const [topLevel] = path.relative(jsDir, target).split(path.sep);
+                if (WAYFINDER_DIRS.includes(topLevel) && !fs.existsSync(path.join(jsDir, topLevel))) {
+                    generated++;
+                    continue;
+                }
+
+                this.log(`Unresolved import '${specifier.value}' in ${path.relative(this.outputDir, file)}:${specifier.line}`, 'error');
+                success = false;
+            }
+        }
+
+        if (generated > 0) {
+            this.log(`${generated} Wayfinder imports left unchecked (generated at build time)`, 'info');
+        }
+        if (success) {
+            this.log(`Resolved ${checked - generated} relative and @/ imports in output`, 'success');
+        }
+
+        return success;
+    }
+
+    // Absolute path an import points at, or null for package imports
+    importTarget(file, specifier, jsDir) {
+        const bare = specifier.split('?')[0];
+        if (bare.startsWith('./') || bare.startsWith('../')) {
+            return path.resolve(path.dirname(file), bare);
+        }
+        if (bare.startsWith('@/')) {
+            return path.join(jsDir, bare.slice(2));
+        }
+        return null;
+    }
+
+    resolveImport(target) {
+        const candidates = [
+            target,
+            ...RESOLVE_EXTENSIONS.map((extension) => target + extension),
+            ...RESOLVE_EXTENSIONS.map((extension) => path.join(target, `index${extension}`))
+        ];
+        return candidates.find((candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) ?? null;
+    }
+
+    /**
+     * Runs `vite build` and `vite build --ssr` with the output's vite.config.js
+     * against the project's installed node_modules (and vendor, when there is
+     * one), writing the bundles to a temporary directory so the template
+     * stays untouched. Without PHP and vendor, Wayfinder cannot generate its
+     * route and action modules, so its plugin is replaced by the stubs the
+     * render parity check uses. Returns 'passed' or 'failed'.
+     */
+    async buildOutput(jsDir) {
+        const generatedDirs = WAYFINDER_DIRS.map((name) => path.join(jsDir, name)).filter((dir) => !fs.existsSync(dir));
+        const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsx-template-build-'));
+
+        const stubWayfinder = !this.canGenerateWayfinder();
+        if (stubWayfinder) {
+            this.log('Wayfinder needs PHP and an installed vendor directory to generate routes, building with stubbed route and action modules', 'warning');
+        }
+
+        // Rollup resolves the entries of laravel-vite-plugin against the working directory
+        const cwd = process.cwd();
+        process.chdir(this.outputDir);
+
+        return this.withLinkedDependencies(async () => {
+            const builds = [
+                { name: 'Client build', ssr: false, outDir: path.join(buildDir, 'client') },
+                { name: 'SSR build', ssr: true, outDir: path.join(buildDir, 'ssr') }
+            ];
+
+            let success = true;
+            for (const build of builds) {
+                this.log(`${build.name}...`, 'step');
+                try {
+                    // Loaded per build, as the CLI does, so no plugin state carries over
+                    const { config } = await loadConfigFromFile({ command: 'build', mode: 'production', isSsrBuild: build.ssr }, path.join(this.outputDir, 'vite.config.js'), this.outputDir, 'silent');
+                    const plugins = stubWayfinder
+                        ? [...(config.plugins ?? []).flat(Infinity).filter((plugin) => plugin?.name !== '@laravel/vite-plugin-wayfinder'), wayfinderStubs(jsDir)]
+                        : config.plugins;
+                    await viteBuild({
+                        ...config,
+                        configFile: false,
+                        root: this.outputDir,
+                        envDir: this.outputDir,
+                        logLevel: 'error',
+                        plugins,
+                        build: { ...config.build, ssr: build.ssr, outDir: build.outDir, emptyOutDir: true }
+                    });
+                    this.log(`${build.name} succeeded`, 'success');
+                } catch (error) {
+                    this.log(`${build.name} failed: ${error.message.trim()}`, 'error');
+                    success = false;
+                }
+            }
+            return success ? 'passed' : 'failed';
+        }).finally(() => {
+            process.chdir(cwd);
+            for (const dir of generatedDirs) {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+            fs.rmSync(buildDir, { recursive: true, force: true });
+        });
+    }
+
+    // Links the project's node_modules (and vendor) into the output while `task` runs
+    async withLinkedDependencies(task) {
+        const links = ['node_modules', 'vendor']
+            .filter((name) => fs.existsSync(path.join(this.projectRoot, name)) && !fs.existsSync(path.join(this.outputDir, name)))
+            .map((name) => {
+                const link = path.join(this.outputDir, name);
+                fs.symlinkSync(path.join(this.projectRoot, name), link, 'junction');
+                return link;
+            });
+
+        try {
+            return await task();
+        } finally {
+            for (const link of links) {
+                fs.unlinkSync(link);
+            }
+        }
+    }
+
+    canGenerateWayfinder() {
+        try {
+            execSync('php --version', { stdio: 'pipe' });
+        } catch {
+            return false;
+        }
+        return fs.existsSync(path.join(this.projectRoot, 'vendor/autoload.php'));
+    }
+
+    /**
+     * Renders every page and layout from the TSX source and from the JSX
+     * output with the fixture Inertia props and reports HTML differences per
+     * component.
+     */
+    async testRenderParity() {
+        this.log('Comparing TSX and JSX server renders...', 'step');
+
+        try {
+            const parity = new RenderParity({
+                sourceRoot: this.projectRoot,
+                outputRoot: this.outputDir,
+                sharedData,
+                pageProps,
+                layoutProps
+            });
+            this.parityResults = await this.withLinkedDependencies(() => parity.run());
+        } catch (error) {
+            this.log(`Render parity check failed: ${error.message}`, 'error');
+            return false;
+        }
+
+        for (const result of this.parityResults) {
+            if (result.status === 'identical') {
+                this.log(`${result.component}: identical`, 'success');
+            } else if (result.status === 'skipped') {
+                this.log(`${result.component}: skipped, both sides fail to render: ${result.error}`, 'warning');
+            } else if (result.status === 'different') {
+                this.log(`${result.component}: rendered HTML differs`, 'error');
+                console.log(result.diff);
+            } else {
+                this.log(`${result.component}: render failed: ${result.error}`, 'error');
+            }
+        }
+
+        const identical = this.parityResults.filter((result) => result.status === 'identical').length;
+        const skipped = this.parityResults.filter((result) => result.status === 'skipped').length;
+        const mismatches = this.parityResults.length - identical - skipped;
+        this.log(
+            `${identical}/${this.parityResults.length} components render identically${skipped > 0 ? `, ${skipped} skipped` : ''}`,
+            mismatches === 0 ? 'success' : 'error'
+        );
+
+        return mismatches === 0;
+    }
+
     async testWorkflowComponents() {
         this.log('Testing workflow components...', 'step');
         
@@ -315,12 +880,8 @@ class WorkflowTester {
             project: 'react-jsx-starter-kit-dev',
             workflow: 'sync-and-deploy',
             status: 'completed',
-            summary: {
-                prerequisites: 'passed',
-                structure: 'passed',
-                conversion: 'passed',
-                components: 'passed'
-            }
+            summary: this.summary,
+            parity: this.parityResults.map(({ component, status, error, diff }) => ({ component, status, error, diff }))
         };
 
         const reportPath = path.resolve('workflow-test-report.json');
@@ -335,28 +896,66 @@ class WorkflowTester {
         this.log('🚀 Starting Workflow Test Suite', 'info');
         this.log('=====================================', 'info');
         
+        if (this.parityOnly) {
+            return this.runParityOnly();
+        }
+
         let allTestsPassed = true;
 
         // Step 1: Check prerequisites
-        if (!this.checkPrerequisites()) {
+        if (!this.record('prerequisites', this.checkPrerequisites())) {
             this.log('Prerequisites check failed', 'error');
             allTestsPassed = false;
         }
 
         // Step 2: Check project structure
-        if (!this.checkProjectStructure()) {
+        if (!this.record('structure', this.checkProjectStructure())) {
             this.log('Project structure check failed', 'error');
             allTestsPassed = false;
         }
 
-        // Step 3: Test conversion
-        if (!(await this.testConversion())) {
+        // Step 3: Test the type stripper on known snippets
+        if (!this.record('stripper', this.testTypeStripper())) {
+            this.log('Type stripper test failed', 'error');
+            allTestsPassed = false;
+        }
+
+        // Step 4: Check the template tooling modules directly
+        const moduleChecks = [
+            ['diff', () => this.testUnifiedDiff(), 'Unified diff test failed'],
+            ['pruner', () => this.testDependencyPruner(), 'Dependency pruner test failed'],
+            ['manifest', () => this.testConversionManifest(), 'Conversion manifest test failed'],
+            ['drift', () => this.testDriftChecker(), 'Drift checker test failed'],
+            ['release', () => this.testTemplateRelease(), 'Template release test failed'],
+            ['impact', () => this.testImpactReport(), 'Impact report test failed']
+        ];
+        for (const [check, test, failure] of moduleChecks) {
+            if (!this.record(check, await test())) {
+                this.log(failure, 'error');
+                allTestsPassed = false;
+            }
+        }
+
+        // Step 5: Test conversion
+        if (!this.record('conversion', await this.testConversion())) {
             this.log('Conversion test failed', 'error');
             allTestsPassed = false;
         }
 
-        // Step 4: Test workflow components
-        if (!(await this.testWorkflowComponents())) {
+        // Step 6: Verify the converted template parses, resolves and builds
+        if (!(await this.verifyTemplateBuild())) {
+            this.log('Template build verification failed', 'error');
+            allTestsPassed = false;
+        }
+
+        // Step 7: Compare TSX and JSX server renders
+        if (!this.record('parity', await this.testRenderParity())) {
+            this.log('Render parity test failed', 'error');
+            allTestsPassed = false;
+        }
+
+        // Step 8: Test workflow components
+        if (!this.record('components', await this.testWorkflowComponents())) {
             this.log('Workflow components test failed', 'error');
             allTestsPassed = false;
         }
@@ -373,10 +972,31 @@ class WorkflowTester {
         
         return allTestsPassed;
     }
+
+    // --parity: only the render comparison, converting first when there is no output yet
+    async runParityOnly() {
+        this.log('🚀 Starting Render Parity Test', 'info');
+
+        if (!fs.existsSync(path.join(this.outputDir, 'resources/js')) && !this.record('conversion', await this.testConversion())) {
+            this.log('Conversion test failed', 'error');
+            this.generateReport();
+            return false;
+        }
+
+        const passed = this.record('parity', await this.testRenderParity());
+        this.generateReport();
+        return passed;
+    }
 }
 
+const { values: options } = parseArgs({
+    options: {
+        parity: { type: 'boolean', default: false }
+    }
+});
+
 // Run the test suite
-const tester = new WorkflowTester();
+const tester = new WorkflowTester({ parityOnly: options.parity });
 tester.run().then(success => {
     process.exit(success ? 0 : 1);
 }).catch(error => {